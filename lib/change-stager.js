@@ -0,0 +1,62 @@
+const IgnoreMatcher = require('./ignore-matcher');
+
+// Komut satırı uzunluk sınırlarına takılmamak için dosyalar gruplar halinde eklenir
+const STAGE_CHUNK_SIZE = 100;
+
+// git.status() sonucunu ignoredPatterns ile süzüp sadece izin verilen yolları stage eder
+class ChangeStager {
+    constructor(git, ignoredPatterns = []) {
+        this.git = git;
+        this.matcher = new IgnoreMatcher(ignoredPatterns);
+    }
+
+    async stage() {
+        const status = await this.git.status();
+        const staged = [];
+        const excluded = [];
+
+        for (const file of status.files) {
+            if (this.matcher.matches(file.path)) {
+                excluded.push(file);
+            } else {
+                staged.push(file);
+            }
+        }
+
+        await this.addPaths(staged.map(file => file.path));
+
+        // Daha önce index'e alınmış ama desenle eşleşen dosyalar commit'e girmesin
+        const alreadyStaged = excluded
+            .filter(file => file.index && file.index !== ' ' && file.index !== '?')
+            .map(file => file.path);
+        await this.unstagePaths(alreadyStaged);
+
+        return {
+            staged: staged.map(file => file.path),
+            excluded: excluded.map(file => file.path),
+            files: staged
+        };
+    }
+
+    async addPaths(paths) {
+        for (let i = 0; i < paths.length; i += STAGE_CHUNK_SIZE) {
+            const chunk = paths.slice(i, i + STAGE_CHUNK_SIZE);
+            // -A: silinen dosyalar da stage edilsin
+            await this.git.raw(['add', '-A', '--', ...chunk]);
+        }
+    }
+
+    async unstagePaths(paths) {
+        for (let i = 0; i < paths.length; i += STAGE_CHUNK_SIZE) {
+            const chunk = paths.slice(i, i + STAGE_CHUNK_SIZE);
+            try {
+                await this.git.raw(['reset', '-q', '--', ...chunk]);
+            } catch (error) {
+                // Henüz commit yoksa HEAD bulunamaz, index'ten doğrudan çıkar
+                await this.git.raw(['rm', '-r', '-q', '--cached', '--ignore-unmatch', '--', ...chunk]);
+            }
+        }
+    }
+}
+
+module.exports = ChangeStager;
@@ -0,0 +1,155 @@
+const os = require('os');
+const path = require('path');
+
+// Commit mesajı ayarları: genel config < .gitautosync.json
+const DEFAULTS = {
+    template: 'Auto sync - {date}',
+    includeBody: false,
+    locale: 'tr-TR',
+    maxPaths: 3
+};
+
+// Gövdede her bölüm için listelenecek en fazla dosya
+const MAX_BODY_FILES = 50;
+
+const SECTIONS = [
+    { key: 'added', title: 'Added', sign: '+' },
+    { key: 'modified', title: 'Modified', sign: '~' },
+    { key: 'renamed', title: 'Renamed', sign: '>' },
+    { key: 'deleted', title: 'Deleted', sign: '-' }
+];
+
+const isValidLocale = (locale) => {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+class CommitMessage {
+    static normalize(raw = {}) {
+        const settings = {};
+        if (!raw || typeof raw !== 'object') return settings;
+
+        if (typeof raw.template === 'string' && raw.template.trim()) {
+            settings.template = raw.template.trim().slice(0, 500);
+        }
+        if (typeof raw.includeBody === 'boolean') {
+            settings.includeBody = raw.includeBody;
+        }
+        if (typeof raw.locale === 'string' && isValidLocale(raw.locale.trim())) {
+            settings.locale = raw.locale.trim();
+        }
+        const maxPaths = parseInt(raw.maxPaths, 10);
+        if (Number.isInteger(maxPaths) && maxPaths >= 1 && maxPaths <= 20) {
+            settings.maxPaths = maxPaths;
+        }
+
+        return settings;
+    }
+
+    static resolve(...layers) {
+        return layers.reduce((merged, layer) => ({ ...merged, ...CommitMessage.normalize(layer) }), { ...DEFAULTS });
+    }
+
+    // git.status() sonucundaki staged (index) durumlarını gruplar
+    static summarize(status) {
+        const changes = { added: [], modified: [], renamed: [], deleted: [] };
+
+        for (const file of status?.files || []) {
+            switch (file.index) {
+                case 'A':
+                    changes.added.push(file.path);
+                    break;
+                case 'D':
+                    changes.deleted.push(file.path);
+                    break;
+                case 'R':
+                case 'C':
+                    changes.renamed.push(file.from ? `${file.from} -> ${file.path}` : file.path);
+                    break;
+                case 'M':
+                case 'T':
+                    changes.modified.push(file.path);
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return changes;
+    }
+
+    // "+2 ~3 -1" biçiminde kısa özet
+    static formatStats(changes) {
+        const parts = SECTIONS
+            .filter(section => changes[section.key].length > 0)
+            .map(section => `${section.sign}${changes[section.key].length}`);
+        return parts.length > 0 ? parts.join(' ') : 'no changes';
+    }
+
+    // En çok değişiklik olan klasörler; kökteki dosyalar kendi adıyla listelenir
+    static topPaths(changes, limit = DEFAULTS.maxPaths) {
+        const counts = new Map();
+        for (const section of SECTIONS) {
+            for (const entry of changes[section.key]) {
+                const file = entry.split(' -> ').pop();
+                const dir = path.posix.dirname(file);
+                const key = dir === '.' ? file : `${dir}/`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+
+        const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        const shown = sorted.slice(0, limit).map(([key]) => key);
+        const rest = sorted.length - shown.length;
+        return rest > 0 ? `${shown.join(', ')} +${rest}` : shown.join(', ');
+    }
+
+    static renderBody(changes) {
+        return SECTIONS
+            .filter(section => changes[section.key].length > 0)
+            .map(section => {
+                const files = changes[section.key];
+                const lines = files.slice(0, MAX_BODY_FILES).map(file => `- ${file}`);
+                if (files.length > MAX_BODY_FILES) {
+                    lines.push(`- ... and ${files.length - MAX_BODY_FILES} more`);
+                }
+                return `${section.title} (${files.length}):\n${lines.join('\n')}`;
+            })
+            .join('\n\n');
+    }
+
+    // {project}, {hostname}, {date}, {count}, {added}, {modified}, {renamed}, {deleted}, {stats}, {paths}
+    static render(settings, { project = '', status = null, date = new Date(), hostname = os.hostname() } = {}) {
+        const options = CommitMessage.resolve(settings);
+        const changes = CommitMessage.summarize(status);
+        const count = SECTIONS.reduce((total, section) => total + changes[section.key].length, 0);
+
+        const values = {
+            project,
+            hostname,
+            date: date.toLocaleString(options.locale),
+            count,
+            added: changes.added.length,
+            modified: changes.modified.length,
+            renamed: changes.renamed.length,
+            deleted: changes.deleted.length,
+            stats: CommitMessage.formatStats(changes),
+            paths: CommitMessage.topPaths(changes, options.maxPaths)
+        };
+
+        const subject = options.template
+            .replace(/\{(\w+)\}/g, (match, key) => (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match))
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (!options.includeBody || count === 0) return subject;
+        return `${subject}\n\n${CommitMessage.renderBody(changes)}`;
+    }
+}
+
+CommitMessage.DEFAULTS = DEFAULTS;
+
+module.exports = CommitMessage;
@@ -0,0 +1,210 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const FILE_VERSION = 1;
+const KEY_LENGTH = 32;
+
+// Token gibi gizli bilgileri diskte şifreli tutar.
+// Öncelik Electron safeStorage (OS anahtar zinciri/DPAPI); kullanılamıyorsa GITAUTOSYNC_PASSPHRASE'ten türetilmiş
+// AES-256-GCM anahtarı. İkisi de yoksa token saklanmaz: credentials.json ile aynı klasördeki bir anahtar
+// dosyası gerçek şifreleme sağlamaz. Eski sürümlerin .keyfile ile yazdığı kayıtlar yalnızca okunup taşınır.
+class CredentialStore {
+    constructor(configDir, safeStorage = null) {
+        this.configDir = configDir;
+        this.safeStorage = safeStorage;
+        this.filePath = path.join(configDir, 'credentials.json');
+        this.keyFilePath = path.join(configDir, '.keyfile');
+        this.entries = {};
+        this.cache = new Map();
+    }
+
+    // 'safeStorage' | 'passphrase' | 'unavailable'
+    get backend() {
+        if (this.isSafeStorageAvailable()) return 'safeStorage';
+        return process.env.GITAUTOSYNC_PASSPHRASE ? 'passphrase' : 'unavailable';
+    }
+
+    get isAvailable() {
+        return this.backend !== 'unavailable';
+    }
+
+    isSafeStorageAvailable() {
+        try {
+            if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) return false;
+            // Linux'ta anahtar zinciri yoksa safeStorage düz metin saklar, bu durumda kullanma
+            if (typeof this.safeStorage.getSelectedStorageBackend === 'function') {
+                return this.safeStorage.getSelectedStorageBackend() !== 'basic_text';
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async load() {
+        if (!(await fs.pathExists(this.filePath))) {
+            this.entries = {};
+            return;
+        }
+
+        const data = await fs.readJson(this.filePath);
+        this.entries = data.entries || {};
+        this.cache.clear();
+    }
+
+    // Okunamayan/çözülemeyen dosya yedeklenir ve boş depoyla devam edilir; kullanıcı token'ları yeniden girer
+    async reset() {
+        this.entries = {};
+        this.cache.clear();
+        if (await fs.pathExists(this.filePath)) {
+            await fs.move(this.filePath, `${this.filePath}.${Date.now()}.bak`, { overwrite: true });
+        }
+    }
+
+    // Anahtar dosyasıyla saklanan kayıtlar ve anahtar zinciri sonradan kullanılabilir olduysa parolalı kayıtlar
+    // geçerli yönteme taşınır. { migrated, failed: [{ account, message }] }
+    async migrate() {
+        const result = { migrated: 0, failed: [] };
+        const target = this.backend;
+        if (target === 'unavailable') return result;
+
+        for (const [account, entry] of Object.entries(this.entries)) {
+            if (entry.backend === 'safeStorage') continue;
+            try {
+                // Çözme, kaydın hangi anahtarla yazıldığını da belirler (bkz. decryptWithPassphrase)
+                const secret = this.get(account);
+                if (entry.backend === 'keyfile' || target === 'safeStorage') {
+                    await this.set(account, secret);
+                    result.migrated++;
+                }
+            } catch (error) {
+                result.failed.push({ account, message: error.message });
+            }
+        }
+        return result;
+    }
+
+    has(account) {
+        return !!this.entries[account];
+    }
+
+    // Kayıt var ama mevcut anahtarlarla çözülemiyorsa token yeniden girilmelidir
+    canRead(account) {
+        try {
+            return this.get(account) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    get(account) {
+        if (this.cache.has(account)) return this.cache.get(account);
+
+        const entry = this.entries[account];
+        if (!entry) return null;
+
+        let secret;
+        try {
+            secret = entry.backend === 'safeStorage'
+                ? this.safeStorage.decryptString(Buffer.from(entry.data, 'base64'))
+                : this.decryptWithPassphrase(entry);
+        } catch (error) {
+            const readError = new Error(`${account} token'ı çözülemedi, token'ı yeniden girin (${error.message})`);
+            readError.code = 'CREDENTIAL_UNREADABLE';
+            throw readError;
+        }
+
+        this.cache.set(account, secret);
+        return secret;
+    }
+
+    async set(account, secret) {
+        if (!this.isAvailable) {
+            const error = new Error('Token güvenli saklanamıyor: işletim sistemi anahtar zinciri kullanılamıyor ve GITAUTOSYNC_PASSPHRASE tanımlı değil');
+            error.code = 'CREDENTIAL_STORE_UNAVAILABLE';
+            throw error;
+        }
+
+        const entry = this.backend === 'safeStorage'
+            ? { backend: 'safeStorage', data: this.safeStorage.encryptString(secret).toString('base64') }
+            : this.encryptWithPassphrase(secret);
+
+        this.entries[account] = { ...entry, updatedAt: new Date().toISOString() };
+        this.cache.set(account, secret);
+        await this.persist();
+    }
+
+    async delete(account) {
+        if (!this.entries[account]) return;
+        delete this.entries[account];
+        this.cache.delete(account);
+        await this.persist();
+    }
+
+    async persist() {
+        await fs.ensureDir(this.configDir);
+        await fs.writeFile(this.filePath, JSON.stringify({ version: FILE_VERSION, entries: this.entries }, null, 2), { mode: 0o600 });
+    }
+
+    encryptWithPassphrase(secret) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(process.env.GITAUTOSYNC_PASSPHRASE, salt, KEY_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return {
+            backend: 'passphrase',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    // Eski sürümler anahtar dosyasıyla yazılan kayıtları da 'passphrase' olarak etiketledi; parola uymazsa
+    // anahtar dosyası denenir ve kaydın gerçek kaynağı 'keyfile' olarak işaretlenir ki migrate() taşıyabilsin
+    decryptWithPassphrase(entry) {
+        const sources = [];
+        if (entry.backend === 'passphrase' && process.env.GITAUTOSYNC_PASSPHRASE) {
+            sources.push(['passphrase', process.env.GITAUTOSYNC_PASSPHRASE]);
+        }
+        const keyFileSecret = this.readKeyFile();
+        if (keyFileSecret) {
+            sources.push(['keyfile', keyFileSecret]);
+        }
+        if (sources.length === 0) {
+            throw new Error(entry.backend === 'keyfile' ? 'anahtar dosyası bulunamadı' : 'GITAUTOSYNC_PASSPHRASE tanımlı değil');
+        }
+
+        let lastError = null;
+        for (const [backend, secret] of sources) {
+            try {
+                const key = crypto.scryptSync(secret, Buffer.from(entry.salt, 'base64'), KEY_LENGTH);
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+                const plain = Buffer.concat([
+                    decipher.update(Buffer.from(entry.data, 'base64')),
+                    decipher.final()
+                ]).toString('utf8');
+                entry.backend = backend;
+                return plain;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw new Error(entry.backend === 'passphrase' ? 'GITAUTOSYNC_PASSPHRASE kaydedildiği parolayla eşleşmiyor' : lastError.message);
+    }
+
+    // Yalnızca eski kayıtları okumak için; yeni anahtar dosyası oluşturulmaz
+    readKeyFile() {
+        try {
+            return fs.readFileSync(this.keyFilePath, 'utf8').trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = CredentialStore;
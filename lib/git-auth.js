@@ -0,0 +1,139 @@
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+
+// Git, kimlik bilgisini bu betikten ister; betik değerleri sadece o çağrının ortam değişkenlerinden okur
+const ASKPASS_SCRIPT = `#!/bin/sh
+case "$1" in
+    Username*|username*) printf '%s\\n' "$GITAUTOSYNC_ASKPASS_USERNAME" ;;
+    *) printf '%s\\n' "$GITAUTOSYNC_ASKPASS_PASSWORD" ;;
+esac
+`;
+
+// Token'ı remote URL'e gömmeden her git çağrısına askpass ile kimlik bilgisi sağlar
+class GitAuth {
+    constructor(configDir) {
+        this.askpassPath = path.join(configDir, 'askpass.sh');
+    }
+
+    async prepare() {
+        await fs.ensureDir(path.dirname(this.askpassPath));
+        await fs.writeFile(this.askpassPath, ASKPASS_SCRIPT, { mode: 0o700 });
+        await fs.chmod(this.askpassPath, 0o700);
+    }
+
+    createGit(projectPath, { username, token, ssh = false, sshKeyPath = null } = {}) {
+        // Boş credential.helper: global yardımcılar (store, osxkeychain...) token'ı kalıcı kaydetmesin
+        const git = simpleGit({ baseDir: projectPath, config: ['credential.helper='] });
+
+        const env = {
+            ...process.env,
+            GIT_ASKPASS: this.askpassPath,
+            GIT_TERMINAL_PROMPT: '0',
+            GITAUTOSYNC_ASKPASS_USERNAME: username || 'x-access-token',
+            GITAUTOSYNC_ASKPASS_PASSWORD: token || ''
+        };
+        if (ssh || sshKeyPath) {
+            env.GIT_SSH_COMMAND = GitAuth.buildSshCommand(sshKeyPath);
+        }
+
+        return git.env(env);
+    }
+
+    // BatchMode: parola/host onayı sorulmaz, bilinmeyen host'ta işlem hata ile biter
+    static buildSshCommand(sshKeyPath = null) {
+        const parts = ['ssh'];
+        if (sshKeyPath) {
+            parts.push('-i', `'${String(sshKeyPath).replace(/'/g, `'\\''`)}'`, '-o', 'IdentitiesOnly=yes');
+        }
+        parts.push('-o', 'BatchMode=yes');
+        return parts.join(' ');
+    }
+
+    // git@host:owner/repo.git veya ssh://[user@]host[:port]/path biçimlerinden host'u çıkarır
+    static sshHost(url) {
+        const value = String(url || '');
+        const scpLike = /^(?:[^@/]+@)?([^:/]+):(?!\/\/)/.exec(value);
+        if (scpLike && !/^[A-Za-z]:[\\/]/.test(value)) return scpLike[1];
+
+        const sshUrl = /^ssh:\/\/(?:[^@/]+@)?([^:/]+)/i.exec(value);
+        return sshUrl ? sshUrl[1] : null;
+    }
+
+    // SSH kaynaklı git hatalarını kullanıcının düzeltebileceği ayrı hata türlerine ayırır
+    static classifyError(error, remoteUrl = '') {
+        const message = String(error?.message || error || '');
+        const host = GitAuth.sshHost(remoteUrl) || 'sunucu';
+
+        if (/REMOTE HOST IDENTIFICATION HAS CHANGED/i.test(message)) {
+            return {
+                code: 'SSH_HOST_KEY_CHANGED',
+                message: `SSH host anahtarı değişmiş (${host})`,
+                hint: `Değişikliğin beklendiğinden emin olun, sonra "ssh-keygen -R ${host}" ile eski anahtarı silip yeniden bağlanın`
+            };
+        }
+        if (/Host key verification failed/i.test(message)) {
+            return {
+                code: 'SSH_HOST_KEY',
+                message: `SSH host anahtarı doğrulanamadı (${host})`,
+                hint: `Terminalde bir kez "ssh -T git@${host}" ile bağlanıp anahtarı onaylayın veya "ssh-keyscan ${host} >> ~/.ssh/known_hosts" çalıştırın`
+            };
+        }
+        if (/Load key .*(No such file|invalid format|bad permissions)|UNPROTECTED PRIVATE KEY FILE/i.test(message)) {
+            return {
+                code: 'SSH_KEY_FILE',
+                message: 'SSH anahtar dosyası kullanılamıyor',
+                hint: 'Anahtar dosyasının yolunu, biçimini ve izinlerini (chmod 600) kontrol edin'
+            };
+        }
+        if (/Permission denied \(publickey/i.test(message)) {
+            return {
+                code: 'SSH_AUTH',
+                message: `SSH anahtarı reddedildi (${host})`,
+                hint: 'Seçilen anahtarın açık anahtarının hesaba eklendiğinden emin olun'
+            };
+        }
+        return null;
+    }
+
+    static hasEmbeddedCredentials(url, token = null) {
+        const match = /^(https?:\/\/)([^@/]+)@/i.exec(url || '');
+        if (!match) return false;
+
+        const userInfo = decodeURIComponent(match[2]);
+        return userInfo.includes(':') ||
+            (token && userInfo === token) ||
+            /^(gh[pousr]_|github_pat_|glpat-)/.test(userInfo) ||
+            /^[0-9a-f]{40}$/i.test(userInfo);
+    }
+
+    static stripCredentials(url) {
+        return String(url || '').replace(/^(https?:\/\/)[^@/]+@/i, '$1');
+    }
+
+    // Eski sürümlerin .git/config'e yazdığı token'lı remote URL'lerini temizler
+    async scrubRepository(projectPath, token = null) {
+        const git = simpleGit(projectPath);
+        const remotes = await git.getRemotes(true);
+        const scrubbed = [];
+
+        for (const remote of remotes) {
+            const { fetch, push } = remote.refs;
+
+            if (GitAuth.hasEmbeddedCredentials(fetch, token)) {
+                await git.remote(['set-url', remote.name, GitAuth.stripCredentials(fetch)]);
+                scrubbed.push(remote.name);
+            }
+
+            // Ayrı tanımlanmış push URL'i varsa o da temizlenir
+            if (push && push !== fetch && GitAuth.hasEmbeddedCredentials(push, token)) {
+                await git.remote(['set-url', '--push', remote.name, GitAuth.stripCredentials(push)]);
+                if (!scrubbed.includes(remote.name)) scrubbed.push(remote.name);
+            }
+        }
+
+        return scrubbed;
+    }
+}
+
+module.exports = GitAuth;
@@ -0,0 +1,168 @@
+const axios = require('axios');
+
+// Repo varlık bilgisi bu süre boyunca hiç istek atılmadan kullanılır,
+// süre dolunca ETag ile koşullu istek atılır (304 yanıtı kotadan düşmez)
+const REPO_CACHE_TTL = 10 * 60 * 1000;
+
+class RateLimitError extends Error {
+    constructor(resetAt, message = null) {
+        super(message || `GitHub API limiti doldu, ${new Date(resetAt).toLocaleTimeString('tr-TR')} sonrasında devam edilecek`);
+        this.name = 'RateLimitError';
+        this.code = 'RATE_LIMITED';
+        this.resetAt = resetAt;
+    }
+}
+
+// Aynı API adresi ve hesabı kullanan tüm sağlayıcılar tek istemciyi paylaşır,
+// böylece kota bilgisi ve repo önbelleği ortak tutulur
+const clients = new Map();
+
+class GitHubClient {
+    constructor({ apiUrl, getToken = () => null }) {
+        this.apiUrl = apiUrl;
+        this.getToken = getToken;
+        this.rateLimit = null;
+        this.pausedUntil = 0;
+        this.repoCache = new Map();
+    }
+
+    static shared({ apiUrl, account = '', getToken }) {
+        const key = `${apiUrl}|${account}`;
+        if (!clients.has(key)) {
+            clients.set(key, new GitHubClient({ apiUrl, getToken }));
+        }
+        const client = clients.get(key);
+        // Token ayarlardan değişmiş olabilir
+        client.getToken = getToken;
+        return client;
+    }
+
+    static all() {
+        return Array.from(clients.values());
+    }
+
+    headers(extra = {}) {
+        return {
+            'Authorization': `token ${this.getToken()}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'GitAutoSync/2.0',
+            ...extra
+        };
+    }
+
+    // Limit dolmuşsa sıfırlanma zamanı, değilse 0
+    getPausedUntil() {
+        return this.pausedUntil > Date.now() ? this.pausedUntil : 0;
+    }
+
+    async request(method, url, { data, headers = {}, timeout = 15000 } = {}) {
+        const pausedUntil = this.getPausedUntil();
+        if (pausedUntil) {
+            throw new RateLimitError(pausedUntil);
+        }
+
+        try {
+            const response = await axios({
+                method,
+                url: `${this.apiUrl}${url}`,
+                data,
+                headers: this.headers(headers),
+                timeout,
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            });
+            this.updateRateLimit(response);
+            return response;
+        } catch (error) {
+            if (error.response) {
+                this.updateRateLimit(error.response);
+                const rateLimitError = this.toRateLimitError(error.response);
+                if (rateLimitError) throw rateLimitError;
+            }
+            throw error;
+        }
+    }
+
+    updateRateLimit({ headers = {} }) {
+        if (headers['x-ratelimit-limit'] !== undefined) {
+            this.rateLimit = {
+                limit: parseInt(headers['x-ratelimit-limit'], 10),
+                remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+                used: parseInt(headers['x-ratelimit-used'], 10) || 0,
+                resource: headers['x-ratelimit-resource'] || 'core',
+                resetAt: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+            };
+            // Son hak da kullanıldıysa sıradaki istek hiç gönderilmeden beklenir
+            if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+                this.pausedUntil = this.rateLimit.resetAt;
+            }
+        }
+    }
+
+    // Birincil limit (remaining = 0) veya ikincil limit (Retry-After) yanıtlarını ayırt eder
+    toRateLimitError(response) {
+        if (response.status !== 403 && response.status !== 429) return null;
+
+        const retryAfter = parseInt(response.headers?.['retry-after'], 10);
+        if (Number.isFinite(retryAfter)) {
+            this.pausedUntil = Date.now() + retryAfter * 1000;
+            return new RateLimitError(this.pausedUntil);
+        }
+        if (this.rateLimit?.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+            this.pausedUntil = this.rateLimit.resetAt;
+            return new RateLimitError(this.pausedUntil);
+        }
+        if (/rate limit/i.test(response.data?.message || '')) {
+            // Başlık yoksa GitHub'ın önerdiği gibi en az bir dakika beklenir
+            this.pausedUntil = Date.now() + 60 * 1000;
+            return new RateLimitError(this.pausedUntil);
+        }
+        return null;
+    }
+
+    // Repo varsa API yanıtını, yoksa null döndürür
+    async getRepo(repoPath) {
+        const cached = this.repoCache.get(repoPath);
+        if (cached && Date.now() - cached.checkedAt < REPO_CACHE_TTL) {
+            return cached.data;
+        }
+
+        try {
+            const response = await this.request('get', repoPath, {
+                headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+                timeout: 10000
+            });
+            if (response.status === 304 && cached) {
+                cached.checkedAt = Date.now();
+                return cached.data;
+            }
+            this.repoCache.set(repoPath, { data: response.data, etag: response.headers.etag || null, checkedAt: Date.now() });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                this.repoCache.delete(repoPath);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    rememberRepo(repoPath, data) {
+        this.repoCache.set(repoPath, { data, etag: null, checkedAt: Date.now() });
+    }
+
+    forgetRepo(repoPath) {
+        this.repoCache.delete(repoPath);
+    }
+
+    snapshot() {
+        return {
+            apiUrl: this.apiUrl,
+            ...(this.rateLimit || {}),
+            pausedUntil: this.getPausedUntil() || null
+        };
+    }
+}
+
+GitHubClient.RateLimitError = RateLimitError;
+
+module.exports = GitHubClient;
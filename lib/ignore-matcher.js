@@ -0,0 +1,35 @@
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+// ignoredPatterns listesini proje köküne göre göreli yollarla eşleştirir
+class IgnoreMatcher {
+    constructor(patterns = []) {
+        this.patterns = patterns.filter(pattern => typeof pattern === 'string' && pattern.trim());
+        this.matchers = this.patterns.map(pattern => new Minimatch(pattern.trim(), {
+            dot: true,
+            matchBase: true,
+            nocase: process.platform === 'win32'
+        }));
+    }
+
+    // relativePath: proje köküne göre yol (Windows ayraçları da kabul edilir)
+    matches(relativePath, isDirectory = false) {
+        const normalized = IgnoreMatcher.normalize(relativePath);
+        if (!normalized) return false;
+
+        // "**/node_modules/**" gibi desenler klasörün kendisini değil içeriğini eşler,
+        // klasörler için sonda "/" ile de denenir ki hiç içine girilmesin
+        const candidates = isDirectory ? [normalized, `${normalized}/`] : [normalized];
+        return this.matchers.some(matcher => candidates.some(candidate => matcher.match(candidate)));
+    }
+
+    static normalize(relativePath) {
+        return String(relativePath || '')
+            .split(path.sep).join('/')
+            .replace(/\\/g, '/')
+            .replace(/^\.\//, '')
+            .replace(/\/+$/, '');
+    }
+}
+
+module.exports = IgnoreMatcher;
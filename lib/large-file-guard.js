@@ -0,0 +1,166 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ChangeStager = require('./change-stager');
+
+const MB = 1024 * 1024;
+
+// GitHub 100 MB üzerindeki dosyaları reddeder, 50 MB üzerinde uyarı verir
+const DEFAULTS = {
+    warnMb: 50,
+    limitMb: 100,
+    action: 'block'
+};
+
+const ACTIONS = ['block', 'exclude', 'lfs'];
+
+const formatSize = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+// .gitattributes deseni: köke sabitlenir, boşluk ve glob karakterleri kaçırılır (git lfs track ile aynı)
+const toAttributesPattern = (filePath) => '/' + filePath
+    .replace(/([\\*?[\]!#])/g, '\\$1')
+    .replace(/ /g, '[[:space:]]');
+
+// Stage edilmiş dosyaların boyutunu commit öncesi sınırlarla karşılaştırır
+class LargeFileGuard {
+    constructor(git, projectPath, settings = {}) {
+        this.git = git;
+        this.projectPath = projectPath;
+        this.settings = LargeFileGuard.resolve(settings);
+    }
+
+    static normalize(raw = {}) {
+        const settings = {};
+        if (!raw || typeof raw !== 'object') return settings;
+
+        for (const key of ['warnMb', 'limitMb']) {
+            const value = Number(raw[key]);
+            if (Number.isFinite(value) && value > 0) settings[key] = value;
+        }
+        if (ACTIONS.includes(raw.action)) {
+            settings.action = raw.action;
+        }
+
+        return settings;
+    }
+
+    static resolve(...layers) {
+        const settings = layers.reduce((merged, layer) => ({ ...merged, ...LargeFileGuard.normalize(layer) }), { ...DEFAULTS });
+        // Uyarı sınırı hiçbir zaman kesin sınırı aşmaz
+        settings.warnMb = Math.min(settings.warnMb, settings.limitMb);
+        return settings;
+    }
+
+    // Eklenen/değişen staged dosyalar; LFS ile izlenenler pointer olarak commit edildiğinden atlanır
+    async stagedFiles() {
+        const output = await this.git.raw(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMRT']);
+        const paths = output.split('\0').filter(Boolean);
+        if (paths.length === 0) return [];
+
+        const lfsTracked = await this.lfsTrackedPaths(paths);
+        return paths.filter(filePath => !lfsTracked.has(filePath));
+    }
+
+    async lfsTrackedPaths(paths) {
+        const tracked = new Set();
+        for (let i = 0; i < paths.length; i += 100) {
+            const output = await this.git.raw(['check-attr', '-z', 'filter', '--', ...paths.slice(i, i + 100)]);
+            const fields = output.split('\0');
+            // -z çıktısı: yol \0 özellik \0 değer \0
+            for (let j = 0; j + 2 < fields.length; j += 3) {
+                if (fields[j + 2] === 'lfs') tracked.add(fields[j]);
+            }
+        }
+        return tracked;
+    }
+
+    // { warnings: [{ path, size }], oversized: [{ path, size }] }
+    async check() {
+        const warnBytes = this.settings.warnMb * MB;
+        const limitBytes = this.settings.limitMb * MB;
+        const warnings = [];
+        const oversized = [];
+
+        for (const filePath of await this.stagedFiles()) {
+            let size;
+            try {
+                size = (await fs.stat(path.join(this.projectPath, filePath))).size;
+            } catch (error) {
+                continue;
+            }
+
+            if (size > limitBytes) {
+                oversized.push({ path: filePath, size });
+            } else if (size > warnBytes) {
+                warnings.push({ path: filePath, size });
+            }
+        }
+
+        return { warnings, oversized };
+    }
+
+    // Sınırı aşan dosyaları ayarlanan eyleme göre işler:
+    // { action, files, blocked, reason }
+    async enforce(oversized) {
+        const paths = oversized.map(file => file.path);
+        const list = oversized.map(file => `${file.path} (${formatSize(file.size)})`).join(', ');
+        const result = { action: this.settings.action, files: oversized, blocked: false, reason: null };
+
+        if (paths.length === 0) return result;
+
+        if (this.settings.action === 'exclude') {
+            await new ChangeStager(this.git).unstagePaths(paths);
+            return result;
+        }
+
+        if (this.settings.action === 'lfs') {
+            if (await this.hasLfs()) {
+                await this.trackWithLfs(paths);
+                return result;
+            }
+            result.reason = `Git LFS kurulu değil, ${this.settings.limitMb} MB sınırını aşan dosyalar: ${list}`;
+        } else {
+            result.reason = `${this.settings.limitMb} MB sınırını aşan dosyalar: ${list}`;
+        }
+
+        result.blocked = true;
+        return result;
+    }
+
+    async hasLfs() {
+        try {
+            await this.git.raw(['lfs', 'version']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async trackWithLfs(paths) {
+        // Filtre ve pre-push hook'u (LFS nesnelerinin yüklenmesi) sadece bu repoya kurulur
+        await this.git.raw(['lfs', 'install', '--local']);
+
+        const attributesPath = path.join(this.projectPath, '.gitattributes');
+        const current = (await fs.pathExists(attributesPath)) ? await fs.readFile(attributesPath, 'utf8') : '';
+        const existing = new Set(current.split(/\r?\n/).map(line => line.trim().split(/\s+/)[0]));
+        const lines = paths
+            .map(toAttributesPattern)
+            .filter(pattern => !existing.has(pattern))
+            .map(pattern => `${pattern} filter=lfs diff=lfs merge=lfs -text`);
+
+        if (lines.length > 0) {
+            const separator = current && !current.endsWith('\n') ? '\n' : '';
+            await fs.writeFile(attributesPath, `${current}${separator}${lines.join('\n')}\n`);
+        }
+
+        // Dosyalar index'ten çıkarılıp tekrar eklenince clean filtresi pointer üretir
+        await this.git.raw(['add', '--', '.gitattributes']);
+        await this.git.raw(['rm', '-q', '--cached', '--', ...paths]);
+        await this.git.raw(['add', '--', ...paths]);
+    }
+}
+
+LargeFileGuard.DEFAULTS = DEFAULTS;
+LargeFileGuard.ACTIONS = ACTIONS;
+LargeFileGuard.formatSize = formatSize;
+
+module.exports = LargeFileGuard;
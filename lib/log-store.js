@@ -0,0 +1,90 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const LEVELS = ['info', 'success', 'warning', 'error'];
+
+// Log kayıtları ~/.gitautosync/logs altında JSONL olarak tutulur;
+// dosya maxBytes'ı aşınca gitautosync.1.log, gitautosync.2.log... şeklinde döndürülür
+class LogStore {
+    constructor(configDir, { maxBytes = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+        this.dir = path.join(configDir, 'logs');
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.size = null;
+        this.writing = Promise.resolve();
+    }
+
+    filePath(index = 0) {
+        return path.join(this.dir, index === 0 ? 'gitautosync.log' : `gitautosync.${index}.log`);
+    }
+
+    write(record) {
+        this.writing = this.writing
+            .then(() => this.append(JSON.stringify(record) + '\n'))
+            .catch(error => console.error('Log dosyasına yazılamadı:', error.message));
+        return this.writing;
+    }
+
+    async append(line) {
+        if (this.size === null) {
+            await fs.ensureDir(this.dir);
+            this.size = (await fs.pathExists(this.filePath())) ? (await fs.stat(this.filePath())).size : 0;
+        }
+
+        if (this.size + Buffer.byteLength(line) > this.maxBytes && this.size > 0) {
+            await this.rotate();
+        }
+
+        await fs.appendFile(this.filePath(), line);
+        this.size += Buffer.byteLength(line);
+    }
+
+    async rotate() {
+        await fs.remove(this.filePath(this.maxFiles - 1));
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            if (await fs.pathExists(this.filePath(index))) {
+                await fs.move(this.filePath(index), this.filePath(index + 1), { overwrite: true });
+            }
+        }
+        this.size = 0;
+    }
+
+    // Eskiden yeniye; from/to ISO tarih veya Date
+    async query({ from = null, to = null, level = null, projectPath = null, search = '', limit = 10000 } = {}) {
+        await this.writing;
+
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+        const needle = String(search || '').toLowerCase();
+        const records = [];
+
+        for (let index = this.maxFiles - 1; index >= 0; index--) {
+            if (!(await fs.pathExists(this.filePath(index)))) continue;
+
+            const content = await fs.readFile(this.filePath(index), 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+
+                const time = new Date(record.time).getTime();
+                if (time < fromTime || time > toTime) continue;
+                if (level && record.level !== level) continue;
+                if (projectPath && record.projectPath !== projectPath) continue;
+                if (needle && !record.message.toLowerCase().includes(needle)) continue;
+                records.push(record);
+            }
+        }
+
+        return records.slice(-limit);
+    }
+}
+
+LogStore.LEVELS = LEVELS;
+
+module.exports = LogStore;
@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const FILE_NAME = '.gitautosync.json';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Git ref adı kuralları (git check-ref-format) için yeterli bir alt küme
+const isValidBranchName = (value) => isNonEmptyString(value) &&
+    !/[\s~^:?*[\\]|\.\.|@\{|^[-/]|\/$|\.lock$|\.$/.test(value);
+
+// Her alan için doğrulayıcı ve hata mesajı
+const FIELDS = {
+    name: {
+        validate: (value) => isNonEmptyString(value) && /^[A-Za-z0-9._-]{1,100}$/.test(value),
+        message: 'name sadece harf, rakam, ".", "_" ve "-" içerebilir (en fazla 100 karakter)'
+    },
+    visibility: {
+        validate: (value) => value === 'private' || value === 'public',
+        message: 'visibility "private" veya "public" olmalı'
+    },
+    branch: {
+        validate: isValidBranchName,
+        message: 'branch geçerli bir git dal adı olmalı'
+    },
+    ignore: {
+        validate: (value) => Array.isArray(value) && value.every(isNonEmptyString),
+        message: 'ignore boş olmayan desenlerden oluşan bir dizi olmalı'
+    },
+    commitMessage: {
+        validate: (value) => isNonEmptyString(value) && value.length <= 500,
+        message: 'commitMessage boş olmayan bir metin olmalı (en fazla 500 karakter)'
+    },
+    commitBody: {
+        validate: (value) => typeof value === 'boolean',
+        message: 'commitBody true veya false olmalı'
+    },
+    excluded: {
+        validate: (value) => typeof value === 'boolean',
+        message: 'excluded true veya false olmalı'
+    }
+};
+
+// Proje klasöründeki isteğe bağlı .gitautosync.json dosyasını okuyup doğrular
+class ProjectOverrides {
+    static async load(projectPath) {
+        const filePath = path.join(projectPath, FILE_NAME);
+        const result = { exists: false, overrides: {}, errors: [], warnings: [] };
+
+        if (!(await fs.pathExists(filePath))) return result;
+        result.exists = true;
+
+        let raw;
+        try {
+            raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            result.errors.push(`${FILE_NAME} okunamadı: ${error.message}`);
+            return result;
+        }
+
+        return { ...result, ...ProjectOverrides.validate(raw) };
+    }
+
+    // Geçersiz alanlar yok sayılır, geçerli olanlar uygulanır
+    static validate(raw) {
+        const overrides = {};
+        const errors = [];
+        const warnings = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push(`${FILE_NAME} bir JSON nesnesi olmalı`);
+            return { overrides, errors, warnings };
+        }
+
+        for (const [key, value] of Object.entries(raw)) {
+            const field = FIELDS[key];
+            if (!field) {
+                warnings.push(`Bilinmeyen alan yok sayıldı: ${key}`);
+                continue;
+            }
+
+            if (!field.validate(value)) {
+                errors.push(field.message);
+                continue;
+            }
+
+            overrides[key] = Array.isArray(value) ? value.map(item => item.trim()) : value;
+        }
+
+        return { overrides, errors, warnings };
+    }
+}
+
+ProjectOverrides.FILE_NAME = FILE_NAME;
+
+module.exports = ProjectOverrides;
@@ -0,0 +1,78 @@
+const path = require('path');
+const chokidar = require('chokidar');
+const IgnoreMatcher = require('./ignore-matcher');
+
+// Her proje klasörü için chokidar izleyicisi - dosya bazlı değişiklik olayları üretir
+class ProjectWatcher {
+    constructor({ onChange, onProjectRemoved, onError } = {}) {
+        this.onChange = onChange || (() => {});
+        this.onProjectRemoved = onProjectRemoved || (() => {});
+        this.onError = onError || (() => {});
+        this.watchers = new Map();
+    }
+
+    isWatching(projectPath) {
+        return this.watchers.has(projectPath);
+    }
+
+    get size() {
+        return this.watchers.size;
+    }
+
+    watch(projectPath, ignoredPatterns = []) {
+        if (this.watchers.has(projectPath)) return;
+
+        const matcher = new IgnoreMatcher(ignoredPatterns);
+
+        const watcher = chokidar.watch(projectPath, {
+            ignoreInitial: true,
+            persistent: true,
+            ignorePermissionErrors: true,
+            ignored: (filePath, stats) => this.isIgnored(projectPath, matcher, filePath, stats)
+        });
+
+        watcher.on('all', (event, filePath) => {
+            if (event === 'unlinkDir' && path.resolve(filePath) === path.resolve(projectPath)) {
+                this.unwatch(projectPath);
+                this.onProjectRemoved(projectPath);
+                return;
+            }
+            this.onChange(projectPath, filePath, event);
+        });
+
+        watcher.on('error', (error) => this.onError(projectPath, error));
+
+        this.watchers.set(projectPath, watcher);
+    }
+
+    isIgnored(projectPath, matcher, filePath, stats) {
+        const relativePath = path.relative(projectPath, filePath);
+        if (!relativePath || relativePath.startsWith('..')) return false;
+
+        // .git içeriği her zaman dışarıda - kendi commit/push işlemlerimiz yeni olay üretmesin
+        const normalized = IgnoreMatcher.normalize(relativePath);
+        if (normalized === '.git' || normalized.startsWith('.git/')) return true;
+
+        const isDirectory = !stats || stats.isDirectory();
+        return matcher.matches(normalized, isDirectory);
+    }
+
+    async unwatch(projectPath) {
+        const watcher = this.watchers.get(projectPath);
+        if (!watcher) return;
+
+        this.watchers.delete(projectPath);
+        try {
+            await watcher.close();
+        } catch (error) {
+            this.onError(projectPath, error);
+        }
+    }
+
+    async closeAll() {
+        const projectPaths = Array.from(this.watchers.keys());
+        await Promise.all(projectPaths.map(projectPath => this.unwatch(projectPath)));
+    }
+}
+
+module.exports = ProjectWatcher;
@@ -0,0 +1,155 @@
+const RepoOptions = require('../repo-options');
+const GitHubClient = require('../github-client');
+
+const DEFAULT_BASE_URL = 'https://github.com';
+
+// GitHub (github.com ve Enterprise Server) REST API v3 üzerinden repo işlemleri
+class GitHubProvider {
+    constructor({ baseUrl = DEFAULT_BASE_URL, apiUrl = null, username = '', account = '', getToken = () => null } = {}) {
+        this.baseUrl = String(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        // Enterprise Server API'si aynı host'ta /api/v3 altında yayınlanır
+        this.apiUrl = String(apiUrl || (this.baseUrl === DEFAULT_BASE_URL ? 'https://api.github.com' : `${this.baseUrl}/api/v3`)).replace(/\/+$/, '');
+        this.username = username;
+        this.getToken = getToken;
+        // Kota ve repo önbelleği aynı hesabı kullanan tüm klasörler arasında paylaşılır
+        this.client = GitHubClient.shared({ apiUrl: this.apiUrl, account, getToken });
+    }
+
+    get id() {
+        return 'github';
+    }
+
+    get label() {
+        return 'GitHub';
+    }
+
+    // Token ile HTTPS kimlik doğrulamasında kullanıcı adı önemsizdir
+    get askpassUsername() {
+        return 'x-access-token';
+    }
+
+    get requiresNetwork() {
+        return true;
+    }
+
+    async getUsername() {
+        return this.username;
+    }
+
+    noreplyEmail(username) {
+        return `${username}@users.noreply.${new URL(this.baseUrl).host}`;
+    }
+
+    remoteUrl(owner, repoName) {
+        return `${this.baseUrl}/${owner}/${encodeURIComponent(repoName)}.git`;
+    }
+
+    // SSH aktarımında kullanılan scp biçimli adres
+    sshUrl(owner, repoName) {
+        return `git@${new URL(this.baseUrl).hostname}:${owner}/${repoName}.git`;
+    }
+
+    webUrl(owner, repoName) {
+        return repoName ? `${this.baseUrl}/${owner}/${encodeURIComponent(repoName)}` : `${this.baseUrl}/${owner}`;
+    }
+
+    repoPath(owner, repoName) {
+        return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repoName)}`;
+    }
+
+    // Repo varsa API yanıtını, yoksa null döndürür (önbellekli)
+    async exists(owner, repoName) {
+        try {
+            return await this.client.getRepo(this.repoPath(owner, repoName));
+        } catch (error) {
+            if (error instanceof GitHubClient.RateLimitError) throw error;
+            throw new Error(`GitHub API hatası: ${error.message}`);
+        }
+    }
+
+    async create(owner, ownerType, repoName, options = {}) {
+        // Organizasyon repoları /orgs/{org}/repos, kişisel repolar /user/repos üzerinden açılır
+        let endpoint = '/user/repos';
+        if (ownerType === 'org') {
+            endpoint = `/orgs/${encodeURIComponent(owner)}/repos`;
+        } else if (owner.toLowerCase() !== String(this.username).toLowerCase()) {
+            throw new Error(`Başka bir kullanıcı (${owner}) adına repository oluşturulamaz`);
+        }
+
+        try {
+            const repoOptions = RepoOptions.resolve(options);
+            const response = await this.client.request('post', endpoint, {
+                data: RepoOptions.toCreatePayload(repoName, repoOptions, { owner }),
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            // Oluşturma isteği topic kabul etmez, ayrı uç noktadan atanır
+            if (repoOptions.topics.length > 0) {
+                await this.setTopics(owner, repoName, repoOptions.topics);
+            }
+            this.client.rememberRepo(this.repoPath(owner, repoName), { ...response.data, topics: repoOptions.topics });
+
+            return response.status === 201;
+
+        } catch (error) {
+            if (error instanceof GitHubClient.RateLimitError) {
+                throw error;
+            }
+
+            if (error.response?.status === 422) {
+                this.client.forgetRepo(this.repoPath(owner, repoName));
+                return true;
+            }
+
+            if (error.response?.status === 401) {
+                throw new Error('GitHub token geçersiz. Token\'ın "repo" yetkisine sahip olduğundan emin olun.');
+            }
+
+            if (error.response?.status === 403) {
+                throw new Error('GitHub token\'ının bu işlem için yetkisi yok.');
+            }
+
+            if (error.response?.status === 404 && ownerType === 'org') {
+                throw new Error(`Organizasyon bulunamadı veya token'ın "${owner}" üzerinde repo oluşturma yetkisi yok.`);
+            }
+
+            throw new Error(`Repository oluşturma hatası: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    // Sonradan elle değiştirilmiş ayarları geri çeker, değişen alan adlarını döndürür
+    async reconcile(owner, repo, options) {
+        const { patch, topics } = RepoOptions.findDrift(repo, options, { owner });
+
+        if (Object.keys(patch).length > 0) {
+            await this.client.request('patch', this.repoPath(owner, repo.name), {
+                data: patch,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        if (topics) {
+            await this.setTopics(owner, repo.name, topics);
+        }
+
+        const changed = [...Object.keys(patch), ...(topics ? ['topics'] : [])];
+        // Önbellekteki eski ayarlar bir sonraki senkronizasyonda tekrar fark çıkarmasın
+        if (changed.length > 0) {
+            this.client.forgetRepo(this.repoPath(owner, repo.name));
+        }
+        return changed;
+    }
+
+    async setTopics(owner, repoName, topics) {
+        await this.client.request('put', `${this.repoPath(owner, repoName)}/topics`, {
+            data: { names: topics },
+            headers: {
+                'Accept': 'application/vnd.github.mercy-preview+json',
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+}
+
+GitHubProvider.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = GitHubProvider;
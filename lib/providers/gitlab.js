@@ -0,0 +1,198 @@
+const axios = require('axios');
+const RepoOptions = require('../repo-options');
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+
+// GitLab (gitlab.com ve self-hosted) REST API v4 üzerinden proje işlemleri.
+// Organizasyon karşılığı gruplar (namespace) kullanılır.
+class GitLabProvider {
+    constructor({ baseUrl = DEFAULT_BASE_URL, apiUrl = null, username = '', getToken = () => null } = {}) {
+        this.baseUrl = String(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiUrl = String(apiUrl || `${this.baseUrl}/api/v4`).replace(/\/+$/, '');
+        this.username = username;
+        this.getToken = getToken;
+        this.currentUser = null;
+    }
+
+    get id() {
+        return 'gitlab';
+    }
+
+    get label() {
+        return 'GitLab';
+    }
+
+    // GitLab token ile HTTPS kimlik doğrulamasında kullanıcı adı "oauth2" olmalı
+    get askpassUsername() {
+        return 'oauth2';
+    }
+
+    get requiresNetwork() {
+        return true;
+    }
+
+    // Token sahibinin GitLab kullanıcı adı, GitHub kullanıcı adından farklı olabilir
+    async getUsername() {
+        if (this.currentUser) return this.currentUser.username;
+
+        try {
+            const response = await axios.get(`${this.apiUrl}/user`, {
+                headers: this.headers(),
+                timeout: 10000
+            });
+            this.currentUser = response.data;
+            return this.currentUser.username;
+        } catch (error) {
+            throw this.toError(error, 'Kullanıcı bilgisi alınamadı');
+        }
+    }
+
+    noreplyEmail(username) {
+        return `${username}@users.noreply.${new URL(this.baseUrl).host}`;
+    }
+
+    remoteUrl(owner, repoName) {
+        return `${this.baseUrl}/${owner}/${encodeURIComponent(repoName)}.git`;
+    }
+
+    // SSH aktarımında kullanılan scp biçimli adres
+    sshUrl(owner, repoName) {
+        return `git@${new URL(this.baseUrl).hostname}:${owner}/${repoName}.git`;
+    }
+
+    webUrl(owner, repoName) {
+        return repoName ? `${this.baseUrl}/${owner}/${encodeURIComponent(repoName)}` : `${this.baseUrl}/${owner}`;
+    }
+
+    headers(extra = {}) {
+        return {
+            'PRIVATE-TOKEN': this.getToken() || '',
+            'User-Agent': 'GitAutoSync/2.0',
+            ...extra
+        };
+    }
+
+    // Projeler "grup/alt-grup/proje" yolunun URL-encode hali ile de adreslenebilir
+    projectPath(owner, repoName) {
+        return `${this.apiUrl}/projects/${encodeURIComponent(`${owner}/${repoName}`)}`;
+    }
+
+    async exists(owner, repoName) {
+        try {
+            const response = await axios.get(this.projectPath(owner, repoName), {
+                headers: this.headers(),
+                timeout: 10000
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw new Error(`GitLab API hatası: ${error.message}`);
+        }
+    }
+
+    async getNamespaceId(owner) {
+        try {
+            const response = await axios.get(`${this.apiUrl}/namespaces/${encodeURIComponent(owner)}`, {
+                headers: this.headers(),
+                timeout: 10000
+            });
+            return response.data.id;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                throw new Error(`Grup bulunamadı veya token'ın "${owner}" grubuna erişimi yok.`);
+            }
+            throw this.toError(error, 'Namespace sorgulanamadı');
+        }
+    }
+
+    async create(owner, ownerType, repoName, options = {}) {
+        const payload = this.toProjectPayload(RepoOptions.resolve(options), repoName, owner);
+        payload.name = repoName;
+        payload.path = repoName;
+        payload.initialize_with_readme = false;
+
+        // Kişisel projeler token sahibinin namespace'inde açılır
+        if (ownerType === 'org') {
+            payload.namespace_id = await this.getNamespaceId(owner);
+        } else if (owner.toLowerCase() !== (await this.getUsername()).toLowerCase()) {
+            throw new Error(`Başka bir kullanıcı (${owner}) adına proje oluşturulamaz`);
+        }
+
+        try {
+            const response = await axios.post(`${this.apiUrl}/projects`, payload, {
+                headers: this.headers({ 'Content-Type': 'application/json' }),
+                timeout: 15000
+            });
+            return response.status === 201;
+        } catch (error) {
+            // Aynı yolda proje zaten var
+            if (error.response?.status === 400 && /taken/i.test(JSON.stringify(error.response.data || ''))) {
+                return true;
+            }
+            throw this.toError(error, 'Proje oluşturma hatası');
+        }
+    }
+
+    // options yalnızca açıkça belirlenmiş alanları içerir, olmayan alanlara dokunulmaz
+    async reconcile(owner, project, options) {
+        const wanted = this.toProjectPayload(RepoOptions.resolve(options), project.path, owner, project.created_at ? new Date(project.created_at) : new Date());
+        const update = {};
+
+        if ('visibility' in options && project.visibility !== wanted.visibility) update.visibility = wanted.visibility;
+        if ('description' in options && (project.description || '') !== wanted.description) update.description = wanted.description;
+        if ('hasIssues' in options && project.issues_enabled !== wanted.issues_enabled) update.issues_enabled = wanted.issues_enabled;
+        if ('hasWiki' in options && project.wiki_enabled !== wanted.wiki_enabled) update.wiki_enabled = wanted.wiki_enabled;
+
+        // Eski GitLab sürümleri topics yerine tag_list döndürür
+        const currentTopics = project.topics || project.tag_list;
+        if ('topics' in options && Array.isArray(currentTopics) && [...currentTopics].sort().join(',') !== [...wanted.topics].sort().join(',')) {
+            update.topics = wanted.topics;
+        }
+
+        const changed = Object.keys(update);
+        if (changed.length === 0) return [];
+
+        try {
+            await axios.put(this.projectPath(owner, project.path), update, {
+                headers: this.headers({ 'Content-Type': 'application/json' }),
+                timeout: 15000
+            });
+        } catch (error) {
+            throw this.toError(error, 'Proje güncellenemedi');
+        }
+        return changed;
+    }
+
+    // GitLab'da homepage ve "projects" özelliği karşılığı yok, bu alanlar atlanır
+    toProjectPayload(options, repoName, owner, date = new Date()) {
+        return {
+            visibility: options.visibility === 'public' ? 'public' : 'private',
+            description: RepoOptions.renderDescription(options.description, { project: repoName, owner, date }),
+            issues_enabled: options.hasIssues,
+            wiki_enabled: options.hasWiki,
+            topics: options.topics
+        };
+    }
+
+    toError(error, prefix) {
+        const status = error.response?.status;
+        if (status === 401) {
+            return new Error('GitLab token geçersiz. Token\'ın "api" yetkisine sahip olduğundan emin olun.');
+        }
+        if (status === 403) {
+            return new Error('GitLab token\'ının bu işlem için yetkisi yok.');
+        }
+        if (status === 429) {
+            return new Error('GitLab API rate limit aşıldı.');
+        }
+
+        const message = error.response?.data?.message || error.response?.data?.error || error.message;
+        return new Error(`${prefix}: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+    }
+}
+
+GitLabProvider.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = GitLabProvider;
@@ -0,0 +1,58 @@
+const GitHubProvider = require('./github');
+const GitLabProvider = require('./gitlab');
+const PlainGitProvider = require('./plain-git');
+
+// Her sağlayıcı aynı arayüzü uygular:
+// exists / create / reconcile / remoteUrl / webUrl / getUsername / askpassUsername / requiresNetwork
+const PROVIDERS = {
+    github: GitHubProvider,
+    gitlab: GitLabProvider,
+    git: PlainGitProvider
+};
+
+const PROVIDER_TYPES = Object.keys(PROVIDERS);
+
+function normalizeType(type) {
+    return PROVIDERS[type] ? type : 'github';
+}
+
+function defaultBaseUrl(type) {
+    return PROVIDERS[normalizeType(type)].DEFAULT_BASE_URL;
+}
+
+function trimUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+}
+
+function normalizeBaseUrl(type, baseUrl) {
+    return trimUrl(baseUrl) || defaultBaseUrl(type);
+}
+
+function isValidUrl(url) {
+    return /^https?:\/\/[^/\s]+/i.test(trimUrl(url));
+}
+
+// Token'lar sağlayıcı ve host başına saklanır
+function credentialKey(type, baseUrl) {
+    const providerType = normalizeType(type);
+    return `${providerType}:${new URL(normalizeBaseUrl(providerType, baseUrl)).host}`;
+}
+
+function createProvider(type, settings = {}) {
+    const providerType = normalizeType(type);
+    const Provider = PROVIDERS[providerType];
+    return new Provider({ ...settings, baseUrl: normalizeBaseUrl(providerType, settings.baseUrl) });
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    normalizeType,
+    defaultBaseUrl,
+    trimUrl,
+    normalizeBaseUrl,
+    isValidUrl,
+    isValidTemplate: PlainGitProvider.isValidTemplate,
+    isSshTemplate: PlainGitProvider.isSshTemplate,
+    credentialKey,
+    createProvider
+};
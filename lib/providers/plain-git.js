@@ -0,0 +1,101 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+
+// API'si olmayan hedefler (NAS'taki bare repo, SSH sunucusu).
+// Remote adresi şablondan üretilir: /mnt/backup/{name}.git, ssh://host/{owner}/{name}.git
+class PlainGitProvider {
+    constructor({ urlTemplate = '', username = '', getToken = () => null } = {}) {
+        this.urlTemplate = String(urlTemplate || '').trim();
+        this.username = username;
+        this.getToken = getToken;
+    }
+
+    get id() {
+        return 'git';
+    }
+
+    get label() {
+        return 'Git';
+    }
+
+    get askpassUsername() {
+        return this.username;
+    }
+
+    // Yerel yol hedeflerinde ağ bağlantısı gerekmez
+    get requiresNetwork() {
+        return !PlainGitProvider.isLocalTemplate(this.urlTemplate);
+    }
+
+    static isLocalTemplate(template) {
+        return /^(file:\/\/|\/|~\/|[A-Za-z]:[\\/]|\\\\)/.test(String(template || '').trim());
+    }
+
+    static isSshTemplate(template) {
+        const value = String(template || '').trim();
+        // ssh://host/yol veya scp biçimi (kullanici@host:yol); Windows sürücü harfleri (C:\) hariç
+        return /^ssh:\/\//i.test(value) || (/^(?:[^@/\\:]+@)?[^/\\:]{2,}:(?!\/\/)/.test(value));
+    }
+
+    static isValidTemplate(template) {
+        return /\{name\}/.test(String(template || ''));
+    }
+
+    async getUsername() {
+        return this.username;
+    }
+
+    noreplyEmail(username) {
+        return `${username}@${os.hostname()}`;
+    }
+
+    remoteUrl(owner, repoName) {
+        return this.urlTemplate
+            .replace(/\{owner\}/g, owner)
+            .replace(/\{name\}/g, repoName);
+    }
+
+    webUrl() {
+        return null;
+    }
+
+    localPath(owner, repoName) {
+        const url = this.remoteUrl(owner, repoName).replace(/^file:\/\//, '');
+        return url.startsWith('~/') ? path.join(os.homedir(), url.slice(2)) : url;
+    }
+
+    // Uzak (SSH/HTTPS) hedeflerde sorgulanacak API yok, repo'nun var olduğu kabul edilir
+    async exists(owner, repoName) {
+        if (!PlainGitProvider.isLocalTemplate(this.urlTemplate)) {
+            return { name: repoName };
+        }
+        const repoPath = this.localPath(owner, repoName);
+        return (await fs.pathExists(path.join(repoPath, 'HEAD'))) ? { name: repoName, path: repoPath } : null;
+    }
+
+    // Yerel hedefte bare repo otomatik oluşturulur
+    async create(owner, ownerType, repoName) {
+        if (!PlainGitProvider.isLocalTemplate(this.urlTemplate)) {
+            return true;
+        }
+
+        const repoPath = this.localPath(owner, repoName);
+        try {
+            await fs.ensureDir(repoPath);
+            await simpleGit(repoPath).raw(['init', '--bare', '--quiet']);
+            return true;
+        } catch (error) {
+            throw new Error(`Bare repository oluşturulamadı (${repoPath}): ${error.message}`);
+        }
+    }
+
+    async reconcile() {
+        return [];
+    }
+}
+
+PlainGitProvider.DEFAULT_BASE_URL = '';
+
+module.exports = PlainGitProvider;
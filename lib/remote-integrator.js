@@ -0,0 +1,247 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Push öncesi uzak dalı çekip yerel commit'lerle birleştirir (fetch + rebase / merge)
+const STRATEGIES = ['rebase', 'merge', 'none'];
+
+class RemoteIntegrator {
+    constructor(git, { remote = 'origin', strategy = 'rebase' } = {}) {
+        this.git = git;
+        this.remote = remote;
+        this.strategy = STRATEGIES.includes(strategy) ? strategy : 'rebase';
+    }
+
+    async integrate(branch, onProgress = () => {}) {
+        if (this.strategy === 'none') {
+            return { status: 'skipped' };
+        }
+
+        onProgress('Uzak değişiklikler alınıyor...', 91.0);
+        try {
+            await this.git.fetch(this.remote, branch);
+        } catch (error) {
+            // Yeni oluşturulmuş / boş repository'de uzak dal henüz yok
+            if (/couldn't find remote ref/i.test(error.message)) {
+                return { status: 'no-remote-branch' };
+            }
+            throw new Error(`Fetch hatası: ${error.message}`);
+        }
+
+        const remoteRef = `${this.remote}/${branch}`;
+        const localHead = await this.revParse('HEAD');
+        const remoteHead = await this.revParse(`refs/remotes/${remoteRef}`);
+
+        if (!localHead || !remoteHead) {
+            return { status: 'no-remote-branch' };
+        }
+
+        const counts = await this.git.raw(['rev-list', '--left-right', '--count', `HEAD...${remoteRef}`]);
+        const [ahead, behind] = counts.trim().split(/\s+/).map(Number);
+
+        if (!behind) {
+            return { status: 'up-to-date', ahead, behind: 0 };
+        }
+
+        onProgress(`Uzak değişiklikler birleştiriliyor (${this.strategy})...`, 93.0);
+
+        // Commit'e girmeyen (ihmal edilen) izlenen dosyalardaki değişiklikler kenara alınır
+        const stashed = await this.stashLocalChanges();
+
+        let failure = null;
+        try {
+            if (this.strategy === 'merge') {
+                await this.git.raw(['merge', '--no-edit', remoteRef]);
+            } else {
+                await this.git.raw(['rebase', remoteRef]);
+            }
+        } catch (error) {
+            failure = error;
+        }
+
+        // Çakışmada git stdout'a yazıp çıkabilir, raw() her zaman hata fırlatmaz
+        const conflictedFiles = await this.getConflictedFiles();
+        if (failure || conflictedFiles.length > 0 || await this.isInProgress()) {
+            await this.abort(localHead, stashed);
+
+            const integrationError = new Error(
+                conflictedFiles.length > 0
+                    ? `${conflictedFiles.length} dosyada çakışma var, ${this.strategy} geri alındı`
+                    : `${this.strategy} başarısız oldu ve geri alındı${failure ? `: ${failure.message}` : ''}`
+            );
+            integrationError.code = 'INTEGRATION_FAILED';
+            integrationError.files = conflictedFiles;
+            throw integrationError;
+        }
+
+        if (stashed && !(await this.restoreStash())) {
+            // Kenara alınan değişiklikler yeni HEAD'e uymuyor - birleştirmeyi tamamen geri al
+            await this.abort(localHead, stashed);
+
+            const stashError = new Error('Commit dışı yerel değişiklikler uzak değişikliklerle çakışıyor, birleştirme geri alındı');
+            stashError.code = 'INTEGRATION_FAILED';
+            stashError.files = [];
+            throw stashError;
+        }
+
+        return { status: 'integrated', ahead, behind };
+    }
+
+    // Çakışma paneli: her dosya için "local" (bizim) veya "remote" (uzak) seçimiyle merge commit'i oluşturur.
+    // Rebase stratejisinde de merge kullanılır, böylece ours/theirs anlamı hep yerel/uzak kalır.
+    async resolve(branch, resolutions = {}) {
+        try {
+            await this.git.fetch(this.remote, branch);
+        } catch (error) {
+            throw new Error(`Fetch hatası: ${error.message}`);
+        }
+
+        const remoteRef = `${this.remote}/${branch}`;
+        const localHead = await this.revParse('HEAD');
+        if (!localHead || !(await this.revParse(`refs/remotes/${remoteRef}`))) {
+            return { status: 'no-remote-branch', files: [] };
+        }
+
+        const stashed = await this.stashLocalChanges();
+        const previousStrategy = this.strategy;
+        this.strategy = 'merge';
+
+        try {
+            let mergeError = null;
+            try {
+                await this.git.raw(['merge', '--no-edit', '--no-commit', remoteRef]);
+            } catch (error) {
+                // Çakışmada merge hata koduyla çıkar, dosyalar aşağıda ele alınır
+                mergeError = error;
+            }
+
+            const conflictedFiles = await this.getConflictedFiles();
+            // Çakışma yok ve merge başlamadıysa hata çözümle ilgili değildir, başarı sayılmaz
+            if (mergeError && conflictedFiles.length === 0 && !(await this.isInProgress())) {
+                await this.abort(localHead, stashed);
+
+                mergeError.code = 'INTEGRATION_FAILED';
+                mergeError.files = [];
+                throw mergeError;
+            }
+
+            const unresolved = conflictedFiles.filter(file => !['local', 'remote'].includes(resolutions[file]));
+            if (unresolved.length > 0) {
+                await this.abort(localHead, stashed);
+
+                const unresolvedError = new Error(`${unresolved.length} dosya için çözüm seçilmedi`);
+                unresolvedError.code = 'INTEGRATION_FAILED';
+                unresolvedError.files = conflictedFiles;
+                throw unresolvedError;
+            }
+
+            for (const file of conflictedFiles) {
+                const side = resolutions[file] === 'local' ? '--ours' : '--theirs';
+                try {
+                    await this.git.raw(['checkout', side, '--', file]);
+                    await this.git.raw(['add', '--', file]);
+                } catch (error) {
+                    // Seçilen tarafta dosya silinmiş
+                    await this.git.raw(['rm', '-q', '--', file]);
+                }
+            }
+
+            if (await this.isInProgress()) {
+                await this.git.raw(['commit', '--no-edit']);
+            }
+
+            if (stashed && !(await this.restoreStash())) {
+                await this.abort(localHead, stashed);
+
+                const stashError = new Error('Commit dışı yerel değişiklikler çözümle çakışıyor, işlem geri alındı');
+                stashError.code = 'INTEGRATION_FAILED';
+                stashError.files = [];
+                throw stashError;
+            }
+
+            return { status: 'resolved', files: conflictedFiles };
+        } finally {
+            this.strategy = previousStrategy;
+        }
+    }
+
+    async getConflictedFiles() {
+        try {
+            const output = await this.git.raw(['diff', '--name-only', '--diff-filter=U']);
+            return output.split('\n').map(line => line.trim()).filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async isInProgress() {
+        const markers = this.strategy === 'merge'
+            ? ['MERGE_HEAD']
+            : ['REBASE_HEAD', 'rebase-merge', 'rebase-apply'];
+
+        try {
+            const gitDir = (await this.git.raw(['rev-parse', '--absolute-git-dir'])).trim();
+            for (const marker of markers) {
+                if (await fs.pathExists(path.join(gitDir, marker))) return true;
+            }
+        } catch (error) {
+            // Git dizini okunamıyorsa devam eden işlem yok kabul et
+        }
+        return false;
+    }
+
+    async stashLocalChanges() {
+        const before = await this.revParse('refs/stash');
+        const status = await this.git.status();
+        const hasTrackedChanges = status.files.some(file => file.index !== '?' && file.working_dir !== '?');
+        if (!hasTrackedChanges) return false;
+
+        await this.git.raw(['stash', 'push', '--quiet', '-m', 'gitautosync: pull öncesi']);
+        const after = await this.revParse('refs/stash');
+        return !!after && after !== before;
+    }
+
+    async restoreStash() {
+        try {
+            await this.git.raw(['stash', 'pop', '--quiet']);
+        } catch (error) {
+            return false;
+        }
+        // Çakışmalı pop'ta stash silinmez, index'te birleşmemiş girdiler kalır
+        return (await this.getConflictedFiles()).length === 0;
+    }
+
+    // Yarım kalan rebase/merge'i iptal edip çalışma ağacını eski haline getirir
+    async abort(originalHead, stashed = false) {
+        try {
+            await this.git.raw([this.strategy === 'merge' ? 'merge' : 'rebase', '--abort']);
+        } catch (error) {
+            // Birleştirme hiç başlamamış olabilir
+        }
+
+        const currentHead = await this.revParse('HEAD');
+        const hasConflicts = (await this.getConflictedFiles()).length > 0;
+        if (stashed || hasConflicts) {
+            // Yerel değişiklikler stash'te güvende, ağaç orijinal HEAD'e döndürülebilir
+            await this.git.raw(['reset', '--hard', '--quiet', originalHead]);
+        } else if (currentHead && currentHead !== originalHead) {
+            await this.git.raw(['reset', '--keep', originalHead]);
+        }
+
+        if (stashed) {
+            await this.git.raw(['stash', 'pop', '--quiet']);
+        }
+    }
+
+    async revParse(ref) {
+        try {
+            const output = await this.git.raw(['rev-parse', '--verify', '--quiet', ref]);
+            return output.trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+RemoteIntegrator.STRATEGIES = STRATEGIES;
+
+module.exports = RemoteIntegrator;
@@ -0,0 +1,119 @@
+// Yeni oluşturulan repoların ayarları: genel varsayılanlar < klasör ayarları < .gitautosync.json
+const DEFAULTS = {
+    visibility: 'private',
+    description: 'Auto-synced project - {date}',
+    homepage: '',
+    topics: [],
+    hasIssues: false,
+    hasProjects: false,
+    hasWiki: false
+};
+
+// GitHub topic kuralları: küçük harf, rakam ve "-", en fazla 50 karakter, repo başına en fazla 20
+const MAX_TOPICS = 20;
+const normalizeTopic = (topic) => String(topic || '').trim().toLowerCase().replace(/\s+/g, '-');
+const isValidTopic = (topic) => /^[a-z0-9][a-z0-9-]{0,49}$/.test(topic);
+
+class RepoOptions {
+    // Eksik/geçersiz alanları atlayarak sadece tanımlı olanları döndürür (katmanlar üst üste bindirilir)
+    static normalize(raw = {}) {
+        const options = {};
+        if (!raw || typeof raw !== 'object') return options;
+
+        if (raw.visibility === 'private' || raw.visibility === 'public') {
+            options.visibility = raw.visibility;
+        }
+        if (typeof raw.description === 'string') {
+            options.description = raw.description.slice(0, 350);
+        }
+        if (typeof raw.homepage === 'string') {
+            options.homepage = raw.homepage.trim();
+        }
+        if (Array.isArray(raw.topics) || typeof raw.topics === 'string') {
+            const topics = Array.isArray(raw.topics) ? raw.topics : raw.topics.split(',');
+            options.topics = [...new Set(topics.map(normalizeTopic).filter(isValidTopic))].slice(0, MAX_TOPICS);
+        }
+        for (const key of ['hasIssues', 'hasProjects', 'hasWiki']) {
+            if (typeof raw[key] === 'boolean') options[key] = raw[key];
+        }
+
+        return options;
+    }
+
+    static resolve(...layers) {
+        return { ...DEFAULTS, ...RepoOptions.explicit(...layers) };
+    }
+
+    // Sadece kullanıcının açıkça belirlediği alanlar (varsayılanlar eklenmez); eşitleme yalnızca bunlara uygulanır
+    static explicit(...layers) {
+        return layers.reduce((merged, layer) => ({ ...merged, ...RepoOptions.normalize(layer) }), {});
+    }
+
+    // Genel ayarlarda yerleşik varsayılanla aynı olan alanlar açıkça belirlenmiş sayılmaz
+    // (eski sürümler tüm varsayılanları config.json'a yazıyordu)
+    static withoutDefaults(raw = {}) {
+        const options = RepoOptions.normalize(raw);
+        for (const [key, value] of Object.entries(options)) {
+            if (JSON.stringify(value) === JSON.stringify(DEFAULTS[key])) delete options[key];
+        }
+        return options;
+    }
+
+    // {project}, {owner} ve {date} yer tutucuları
+    static renderDescription(template, { project = '', owner = '', date = new Date() } = {}) {
+        return String(template || '')
+            .replace(/\{project\}/g, project)
+            .replace(/\{owner\}/g, owner)
+            .replace(/\{date\}/g, date.toLocaleDateString('tr-TR'));
+    }
+
+    static toCreatePayload(repoName, options, context = {}) {
+        return {
+            name: repoName,
+            private: options.visibility !== 'public',
+            description: RepoOptions.renderDescription(options.description, { project: repoName, ...context }),
+            homepage: options.homepage || undefined,
+            auto_init: false,
+            has_issues: options.hasIssues,
+            has_projects: options.hasProjects,
+            has_wiki: options.hasWiki
+        };
+    }
+
+    // Mevcut repo ile istenen ayarlar arasındaki farkı PATCH gövdesi ve topic listesi olarak döndürür.
+    // options yalnızca açıkça belirlenmiş alanları içerir (explicit), olmayan alanlara dokunulmaz.
+    // Açıklamadaki {date} repo oluşturulma tarihiyle doldurulur, böylece her gün fark çıkmaz.
+    static findDrift(repo, options, context = {}) {
+        const patch = {};
+
+        if ('visibility' in options && repo.private !== (options.visibility !== 'public')) {
+            patch.private = options.visibility !== 'public';
+        }
+        if ('description' in options) {
+            const description = RepoOptions.renderDescription(options.description, {
+                project: repo.name,
+                ...context,
+                date: repo.created_at ? new Date(repo.created_at) : new Date()
+            });
+            if ((repo.description || '') !== description) patch.description = description;
+        }
+        if ('homepage' in options && (repo.homepage || '') !== options.homepage) patch.homepage = options.homepage;
+        if ('hasIssues' in options && repo.has_issues !== options.hasIssues) patch.has_issues = options.hasIssues;
+        if ('hasProjects' in options && repo.has_projects !== options.hasProjects) patch.has_projects = options.hasProjects;
+        if ('hasWiki' in options && repo.has_wiki !== options.hasWiki) patch.has_wiki = options.hasWiki;
+
+        // Eski API sürümleri topics alanını döndürmeyebilir, o durumda karşılaştırma yapılmaz
+        let topics = null;
+        if ('topics' in options && Array.isArray(repo.topics)) {
+            const current = [...repo.topics].sort().join(',');
+            const wanted = [...options.topics].sort().join(',');
+            if (current !== wanted) topics = options.topics;
+        }
+
+        return { patch, topics, hasDrift: Object.keys(patch).length > 0 || topics !== null };
+    }
+}
+
+RepoOptions.DEFAULTS = DEFAULTS;
+
+module.exports = RepoOptions;
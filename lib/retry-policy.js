@@ -0,0 +1,79 @@
+// Başarısız projeler geçici hatalarda artan aralıklarla otomatik olarak yeniden kuyruğa alınır
+const DEFAULTS = {
+    maxAttempts: 5,
+    baseDelaySeconds: 30,
+    maxDelaySeconds: 30 * 60
+};
+
+// Kullanıcı müdahalesi gerektiren durumlar yeniden denenmez
+const PERMANENT_CODES = [
+    'SSH_HOST_KEY_CHANGED', 'SSH_HOST_KEY', 'SSH_KEY_FILE', 'SSH_AUTH',
+    'LARGE_FILE', 'SECRET_FOUND', 'MERGE_CONFLICT', 'PUSH_REJECTED'
+];
+const TRANSIENT_CODES = ['NETWORK_OFFLINE'];
+
+const PERMANENT_PATTERN = /Authentication failed|Bad credentials|Invalid username or password|could not read Username|status code 40[1-4]|returned error: 40[1-4]|Repository not found|token geçersiz|yetkisi yok|erişimi yok|bulunamadı|oluşturulamaz|Detached HEAD/i;
+const TRANSIENT_PATTERN = /ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH|socket hang up|timeout of \d+ms exceeded|Could not resolve host|Failed to connect|Connection (timed out|reset|refused|closed)|Operation timed out|early EOF|remote end hung up|RPC failed|status code 5\d\d|returned error: 5\d\d|index\.lock/i;
+
+class RetryPolicy {
+    constructor(settings = {}) {
+        this.settings = RetryPolicy.resolve(settings);
+    }
+
+    static normalize(raw = {}) {
+        const settings = {};
+        if (!raw || typeof raw !== 'object') return settings;
+
+        const maxAttempts = parseInt(raw.maxAttempts, 10);
+        if (Number.isInteger(maxAttempts) && maxAttempts >= 0) settings.maxAttempts = Math.min(maxAttempts, 20);
+
+        for (const key of ['baseDelaySeconds', 'maxDelaySeconds']) {
+            const value = Number(raw[key]);
+            if (Number.isFinite(value) && value > 0) settings[key] = value;
+        }
+
+        return settings;
+    }
+
+    static resolve(...layers) {
+        const settings = layers.reduce((merged, layer) => ({ ...merged, ...RetryPolicy.normalize(layer) }), { ...DEFAULTS });
+        settings.maxDelaySeconds = Math.max(settings.maxDelaySeconds, settings.baseDelaySeconds);
+        return settings;
+    }
+
+    // failure: { code, message } -> 'transient' | 'permanent'
+    // Tanınmayan hatalar kalıcı sayılır; yerel hatalar kendiliğinden düzelmez
+    static classify({ code = null, message = '' } = {}) {
+        if (PERMANENT_CODES.includes(code)) return 'permanent';
+        if (TRANSIENT_CODES.includes(code)) return 'transient';
+        if (PERMANENT_PATTERN.test(message || '')) return 'permanent';
+        if (TRANSIENT_PATTERN.test(message || '')) return 'transient';
+        return 'permanent';
+    }
+
+    // attempt. başarısızlıktan sonraki bekleme (ms): üstel artış, üst sınır ve
+    // aynı anda düşen projeler birlikte denenmesin diye yarısı rastgele ("equal jitter")
+    delay(attempt, random = Math.random) {
+        const { baseDelaySeconds, maxDelaySeconds } = this.settings;
+        const ceiling = Math.min(maxDelaySeconds, baseDelaySeconds * 2 ** Math.max(0, attempt - 1)) * 1000;
+        return Math.round(ceiling / 2 + random() * ceiling / 2);
+    }
+
+    // failures: art arda başarısız deneme sayısı
+    // { kind, failures, maxAttempts, nextRetryAt } - nextRetryAt null ise yeniden denenmez
+    next(failures, failure, now = Date.now()) {
+        const kind = RetryPolicy.classify(failure);
+        const canRetry = kind === 'transient' && failures <= this.settings.maxAttempts;
+
+        return {
+            kind,
+            failures,
+            maxAttempts: this.settings.maxAttempts,
+            nextRetryAt: canRetry ? now + this.delay(failures) : null
+        };
+    }
+}
+
+RetryPolicy.DEFAULTS = DEFAULTS;
+
+module.exports = RetryPolicy;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Staged diff'te eklenen satırlarda aranan bilinen gizli bilgi biçimleri
+const RULES = [
+    { id: 'private-key', label: 'Özel anahtar', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+    { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/ },
+    { id: 'aws-access-key', label: 'AWS erişim anahtarı', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/ },
+    { id: 'aws-secret-key', label: 'AWS gizli anahtarı', pattern: /aws.{0,20}secret.{0,20}[=:]\s*["']?([A-Za-z0-9/+=]{40})\b/i },
+    { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/ },
+    { id: 'slack-webhook', label: 'Slack webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Za-z0-9_]+\/B[A-Za-z0-9_]+\/[A-Za-z0-9_]+/ }
+];
+
+// Tırnak içindeki veya atamadan sonraki uzun değerler entropi kontrolüne girer
+const CANDIDATE_PATTERN = /(?:["'`]|[=:]\s*)([A-Za-z0-9+/=_\-.]{20,})/g;
+const KEYWORD_PATTERN = /(key|secret|token|passw(or)?d|pwd|auth|credential|private)/i;
+const ENTROPY_WITH_KEYWORD = 4.0;
+const ENTROPY_WITHOUT_KEYWORD = 4.8;
+
+// .env.example gibi şablon dosyaları gerçek değer içermez
+const ENV_FILE_PATTERN = /(^|\/)\.env(\.[^/]+)?$/;
+const ENV_TEMPLATE_PATTERN = /\.(example|sample|template|dist|defaults?)$/;
+
+// Üretilmiş dosyalarda (kilit dosyaları, küçültülmüş kod) hash'ler entropi kontrolünü yanıltır
+const ENTROPY_SKIP_PATTERN = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Gemfile\.lock|Cargo\.lock|go\.sum)$|\.(min\.js|map|svg|lock)$/;
+
+const MAX_LINE_LENGTH = 4000;
+
+const shannonEntropy = (value) => {
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+};
+
+// Kartta gösterilecek maskeli önizleme: ilk ve son 4 karakter
+const mask = (value) => value.length <= 12
+    ? '*'.repeat(value.length)
+    : `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 8, 16))}${value.slice(-4)}`;
+
+class SecretScanner {
+    constructor(git, allowlist = []) {
+        this.git = git;
+        this.allowlist = new Set(allowlist);
+    }
+
+    // Satır numarası değişse de aynı bulgu aynı kalır
+    static fingerprint(ruleId, file, secret) {
+        return crypto.createHash('sha256').update(`${ruleId}\0${file}\0${secret}`).digest('hex').slice(0, 16);
+    }
+
+    // [{ rule, label, file, line, preview, fingerprint }]
+    async scan() {
+        const diff = await this.git.raw(['-c', 'core.quotePath=false', 'diff', '--cached', '--no-color', '--no-ext-diff', '-U0', '--diff-filter=ACMR']);
+        const findings = [];
+
+        for (const { file, line, text } of SecretScanner.parseAddedLines(diff)) {
+            findings.push(...SecretScanner.scanLine(file, line, text));
+        }
+
+        const files = await this.git.raw(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACR']);
+        for (const file of files.split('\0').filter(Boolean)) {
+            if (ENV_FILE_PATTERN.test(file) && !ENV_TEMPLATE_PATTERN.test(file)) {
+                findings.push(SecretScanner.finding('env-file', '.env dosyası', file, 1, path.posix.basename(file), file));
+            }
+        }
+
+        return findings.filter(finding => !this.allowlist.has(finding.fingerprint));
+    }
+
+    // -U0 diff çıktısından eklenen satırları yeni dosyadaki satır numaralarıyla çıkarır
+    static parseAddedLines(diff) {
+        const lines = [];
+        let file = null;
+        let lineNumber = 0;
+        let inHunk = false;
+
+        for (const raw of diff.split('\n')) {
+            if (raw.startsWith('diff --git ')) {
+                inHunk = false;
+            } else if (!inHunk && raw.startsWith('+++ ')) {
+                // Boşluk içeren yollarda git satır sonuna sekme ekler
+                const target = raw.slice(4).replace(/\t$/, '');
+                file = target === '/dev/null' ? null : target.replace(/^"?b\//, '').replace(/"$/, '');
+            } else if (raw.startsWith('@@')) {
+                inHunk = true;
+                const match = /\+(\d+)/.exec(raw);
+                lineNumber = match ? parseInt(match[1], 10) : 0;
+            } else if (inHunk && raw.startsWith('+') && file) {
+                lines.push({ file, line: lineNumber, text: raw.slice(1, MAX_LINE_LENGTH + 1) });
+                lineNumber++;
+            }
+        }
+
+        return lines;
+    }
+
+    static scanLine(file, line, text) {
+        const findings = [];
+
+        for (const rule of RULES) {
+            const match = rule.pattern.exec(text);
+            if (match) {
+                findings.push(SecretScanner.finding(rule.id, rule.label, file, line, match[1] || match[0]));
+            }
+        }
+
+        if (findings.length > 0 || ENTROPY_SKIP_PATTERN.test(file)) return findings;
+
+        const threshold = KEYWORD_PATTERN.test(text) ? ENTROPY_WITH_KEYWORD : ENTROPY_WITHOUT_KEYWORD;
+        for (const match of text.matchAll(CANDIDATE_PATTERN)) {
+            const candidate = match[1];
+            if (shannonEntropy(candidate) >= threshold) {
+                findings.push(SecretScanner.finding('high-entropy', 'Yüksek entropili metin', file, line, candidate));
+                break;
+            }
+        }
+
+        return findings;
+    }
+
+    static finding(rule, label, file, line, secret, preview = mask(secret)) {
+        return { rule, label, file, line, preview, fingerprint: SecretScanner.fingerprint(rule, file, secret) };
+    }
+}
+
+SecretScanner.RULES = RULES;
+SecretScanner.shannonEntropy = shannonEntropy;
+
+module.exports = SecretScanner;
@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Dosya bu sayıyı aşınca en eski kayıtlar atılır
+const MAX_RECORDS = 5000;
+
+const OUTCOMES = ['success', 'no-changes', 'pending-push', 'failed', 'conflict', 'blocked'];
+
+const UNITS = { bytes: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3 };
+
+// Her proje senkronizasyonu ~/.gitautosync/history.jsonl dosyasına bir satır olarak eklenir
+class SyncHistory {
+    constructor(configDir, maxRecords = MAX_RECORDS) {
+        this.filePath = path.join(configDir, 'history.jsonl');
+        this.maxRecords = maxRecords;
+        this.count = null;
+        // Eşzamanlı eklemeler dosyaya sırayla yazılır
+        this.writing = Promise.resolve();
+    }
+
+    append(record) {
+        this.writing = this.writing
+            .then(() => this.write(record))
+            .catch(error => console.error('Geçmiş kaydı yazılamadı:', error.message));
+        return this.writing;
+    }
+
+    async write(record) {
+        await fs.ensureDir(path.dirname(this.filePath));
+        if (this.count === null) {
+            this.count = (await this.readAll()).length;
+        }
+
+        await fs.appendFile(this.filePath, JSON.stringify(record) + '\n');
+        this.count++;
+
+        if (this.count > this.maxRecords * 1.1) {
+            const records = (await this.readAll()).slice(-this.maxRecords);
+            await fs.writeFile(this.filePath, records.map(item => JSON.stringify(item)).join('\n') + '\n');
+            this.count = records.length;
+        }
+    }
+
+    async readAll() {
+        if (!(await fs.pathExists(this.filePath))) return [];
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const records = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // Yarım yazılmış satır atlanır
+            }
+        }
+        return records;
+    }
+
+    // En yeniden eskiye; { records, total, projects }
+    async query({ projectPath = null, outcome = null, limit = 200, offset = 0 } = {}) {
+        const all = await this.readAll();
+        const projects = new Map();
+        for (const record of all) {
+            projects.set(record.projectPath, record.projectName);
+        }
+
+        const matches = all
+            .filter(record => !projectPath || record.projectPath === projectPath)
+            .filter(record => !outcome || record.outcome === outcome)
+            .reverse();
+
+        return {
+            records: matches.slice(offset, offset + limit),
+            total: matches.length,
+            projects: [...projects.entries()].map(([projectPath, name]) => ({ path: projectPath, name }))
+        };
+    }
+
+    async clear() {
+        await this.writing;
+        await fs.remove(this.filePath);
+        this.count = 0;
+    }
+
+    // "git push --progress" çıktısındaki son "Writing objects: ..., 1.20 KiB | ..." satırından byte sayısı
+    static parsePushedBytes(stderr) {
+        const matches = [...String(stderr || '').matchAll(/Writing objects:[^\r\n]*?,\s*([\d.]+)\s*(bytes|KiB|MiB|GiB)/g)];
+        if (matches.length === 0) return 0;
+
+        const [, value, unit] = matches[matches.length - 1];
+        return Math.round(parseFloat(value) * UNITS[unit]);
+    }
+}
+
+SyncHistory.OUTCOMES = OUTCOMES;
+
+module.exports = SyncHistory;
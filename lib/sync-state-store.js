@@ -0,0 +1,56 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const FILE_VERSION = 1;
+
+// Kuyruk ve proje durumları yeniden başlatmalar arasında korunmak üzere ~/.gitautosync/state.json'a yazılır
+class SyncStateStore {
+    constructor(configDir) {
+        this.filePath = path.join(configDir, 'state.json');
+    }
+
+    // { savedAt, queue: [path], projectStates: { path: {...} }, projects: { path: {...} } } veya null
+    async load() {
+        if (!(await fs.pathExists(this.filePath))) return null;
+
+        try {
+            const state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            if (state?.version !== FILE_VERSION) return null;
+
+            return {
+                savedAt: state.savedAt || null,
+                queue: Array.isArray(state.queue) ? state.queue.filter(item => typeof item === 'string') : [],
+                projectStates: state.projectStates && typeof state.projectStates === 'object' ? state.projectStates : {},
+                projects: state.projects && typeof state.projects === 'object' ? state.projects : {}
+            };
+        } catch (error) {
+            console.error('Durum dosyası okunamadı:', error.message);
+            return null;
+        }
+    }
+
+    // Uygulama kapanırken de tamamlanabilsin diye eşzamanlı yazılır; geçici dosya + rename ile
+    // yarım kalan yazma mevcut dosyayı bozmaz
+    save({ queue = [], projectStates = {}, projects = {} }) {
+        const tempPath = `${this.filePath}.tmp`;
+        const content = JSON.stringify({
+            version: FILE_VERSION,
+            savedAt: new Date().toISOString(),
+            queue,
+            projectStates,
+            projects
+        }, null, 2);
+
+        try {
+            fs.ensureDirSync(path.dirname(this.filePath));
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            console.error('Durum dosyası yazılamadı:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = SyncStateStore;
@@ -1,9 +1,30 @@
-const { app, BrowserWindow, ipcMain, Tray, Menu, dialog, shell, Notification, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, Tray, Menu, dialog, shell, Notification, nativeImage, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 const simpleGit = require('simple-git');
 const axios = require('axios');
 const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const ProjectWatcher = require('./lib/project-watcher');
+const ChangeStager = require('./lib/change-stager');
+const RemoteIntegrator = require('./lib/remote-integrator');
+const CredentialStore = require('./lib/credential-store');
+const GitAuth = require('./lib/git-auth');
+const ProjectOverrides = require('./lib/project-overrides');
+const RepoOptions = require('./lib/repo-options');
+const CommitMessage = require('./lib/commit-message');
+const LargeFileGuard = require('./lib/large-file-guard');
+const RetryPolicy = require('./lib/retry-policy');
+const SyncStateStore = require('./lib/sync-state-store');
+const SecretScanner = require('./lib/secret-scanner');
+const SyncHistory = require('./lib/sync-history');
+const LogStore = require('./lib/log-store');
+const providers = require('./lib/providers');
+const GitHubClient = require('./lib/github-client');
+
+// Aynı anda senkronize edilebilecek proje sayısı
+const DEFAULT_SYNC_CONCURRENCY = 3;
+const MAX_SYNC_CONCURRENCY = 8;
 
 // GPU optimizasyonları
 app.disableHardwareAcceleration();
@@ -17,7 +38,6 @@ class GitAutoSync {
         this.tray = null;
         this.config = null;
         this.isRunning = false;
-        this.syncInterval = null;
         this.projectScanInterval = null;
         this.debounceTimers = new Map();
         this.isQuitting = false;
@@ -36,15 +56,35 @@ class GitAutoSync {
             uploadedFiles: 0
         };
 
-        // Optimized tracking - ONLY folder modification times
+        // Proje bazlı son değişiklik zamanları - dosya olayları chokidar'dan gelir
         this.projectStates = new Map();
         this.syncQueue = new Set();
 
+        // Senkronizasyon turu: proje başına ilerleme (0-100) ve şu an işlenen projeler (yol -> ad)
+        this.batchProgress = new Map();
+        this.activeProjects = new Map();
+
+        // API limiti dolduğunda kuyruk bu zamana kadar bekletilir
+        this.queuePausedUntil = 0;
+        this.queueResumeTimer = null;
+
+        // Başarısız projelerin bekleyen yeniden deneme zamanlayıcıları (path -> timer)
+        this.retryTimers = new Map();
+
+        this.projectWatcher = new ProjectWatcher({
+            onChange: (projectPath, filePath, event) => this.handleFileChange(projectPath, filePath, event),
+            onProjectRemoved: (projectPath) => this.removeProject(projectPath),
+            onError: (projectPath, error) => {
+                this.sendLog(`❌ Dosya izleme hatası (${path.basename(projectPath)}): ${error.message}`, 'error');
+            }
+        });
+
         // Status tracking - optimized
         this.stats = {
             totalProjects: 0,
             completedProjects: 0,
             failedProjects: 0,
+            deferredProjects: 0,
             startTime: null,
             currentProject: null,
             currentPath: null
@@ -88,6 +128,18 @@ class GitAutoSync {
 
         this.configPath = path.join(require('os').homedir(), '.gitautosync', 'config.json');
         this.configDir = path.dirname(this.configPath);
+        this.credentials = new CredentialStore(this.configDir, safeStorage);
+        this.gitAuth = new GitAuth(this.configDir);
+        this.history = new SyncHistory(this.configDir);
+        this.logStore = new LogStore(this.configDir);
+        this.stateStore = new SyncStateStore(this.configDir);
+        // Önceki oturumun durumu geri yüklenmeden diske yazılmaz (yarım tarama kayıtlı durumu ezmesin)
+        this.stateRestored = false;
+        this.stateSaveTimer = null;
+        // Senkronizasyon sırasında yazılan loglara proje yolu ve aşama otomatik eklenir
+        this.logContext = new AsyncLocalStorage();
+        // Sağlayıcı örnekleri host başına önbelleğe alınır (GitLab kullanıcı bilgisi vb.)
+        this.providers = new Map();
 
         this.setupIPC();
         this.startNetworkMonitoring();
@@ -96,31 +148,77 @@ class GitAutoSync {
     // Network durumu izleme
     startNetworkMonitoring() {
         setInterval(async () => {
+            const wasOnline = this.networkStatus.isOnline;
             try {
-                await axios.get('https://github.com', { timeout: 5000 });
+                // Enterprise sunucular giriş sayfası/401 dönebilir, herhangi bir HTTP yanıtı bağlantı sayılır
+                await axios.get(this.getGitHubUrls().webUrl, { timeout: 5000, validateStatus: () => true });
                 this.networkStatus.isOnline = true;
             } catch (error) {
                 this.networkStatus.isOnline = false;
             }
             this.networkStatus.lastCheck = Date.now();
+
+            if (!wasOnline && this.networkStatus.isOnline) {
+                this.drainPendingPushes();
+            } else if (wasOnline && !this.networkStatus.isOnline) {
+                this.sendLog('📴 Ağ bağlantısı kesildi - değişiklikler yerel olarak commit edilecek, push bağlantı gelince yapılacak', 'warning', { code: 'NETWORK_OFFLINE' });
+            }
         }, 10000);
     }
 
+    // Bağlantı geri geldiğinde push bekleyen projeler kuyruğa alınır
+    drainPendingPushes() {
+        this.sendLog('🌐 Ağ bağlantısı geri geldi', 'success');
+
+        const pending = Array.from(this.status.projects.entries())
+            .filter(([, project]) => project.status === 'pending-push');
+        if (pending.length === 0) return;
+
+        for (const [projectPath, project] of pending) {
+            project.status = 'queued';
+            project.message = 'Bağlantı geri geldi - push kuyrukta';
+            this.syncQueue.add(projectPath);
+        }
+
+        this.sendLog(`📤 Bekleyen ${pending.length} projenin push işlemi başlatılıyor`, 'info');
+        this.sendStatus();
+        this.processQueue();
+    }
+
     logMessage(message) {
         const timestamp = new Date().toLocaleTimeString();
         console.log(`[${timestamp}] ${message}`);
     }
 
     setupIPC() {
-        const handlers = ['get-config', 'save-config', 'select-folder', 'start-manual-sync', 'toggle-sync', 'get-status'];
+        const handlers = [
+            'get-config', 'save-config', 'select-folder', 'start-manual-sync', 'toggle-sync', 'get-status',
+            'get-conflict', 'resolve-conflict', 'set-project-settings', 'scrub-remote-tokens',
+            'select-ssh-key', 'allow-secret', 'get-history', 'clear-history', 'export-logs'
+        ];
         handlers.forEach(handler => ipcMain.removeAllListeners(handler));
 
-        ipcMain.handle('get-config', async () => this.config);
+        ipcMain.handle('get-config', async () => this.getPublicConfig());
         ipcMain.handle('save-config', async (event, config) => {
             const success = await this.saveConfig(config);
             if (success) this.restartAutoSync();
             return success;
         });
+        ipcMain.handle('select-ssh-key', async (event) => {
+            try {
+                if (!this.mainWindow || this.mainWindow.isDestroyed()) return null;
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile', 'showHiddenFiles'],
+                    defaultPath: path.join(os.homedir(), '.ssh'),
+                    title: 'SSH Özel Anahtarı Seçin',
+                    buttonLabel: 'Seç'
+                });
+                return result.canceled ? null : result.filePaths[0];
+            } catch (error) {
+                this.logMessage('❌ Dialog hatası: ' + error.message);
+                return null;
+            }
+        });
         ipcMain.handle('select-folder', async (event) => {
             try {
                 if (!this.mainWindow || this.mainWindow.isDestroyed()) return null;
@@ -142,12 +240,25 @@ class GitAutoSync {
             return true;
         });
         ipcMain.handle('get-status', async () => this.getDetailedStatus());
+        ipcMain.handle('get-conflict', async (event, projectPath) => this.getConflictDetails(projectPath));
+        ipcMain.handle('resolve-conflict', async (event, projectPath, resolutions) => this.resolveConflict(projectPath, resolutions));
+        ipcMain.handle('set-project-settings', async (event, projectPath, settings) => this.setProjectSettings(projectPath, settings));
+        ipcMain.handle('allow-secret', async (event, projectPath, fingerprint) => this.allowSecret(projectPath, fingerprint));
+        ipcMain.handle('get-history', async (event, filters) => this.history.query(filters));
+        ipcMain.handle('clear-history', async () => {
+            await this.history.clear();
+            return true;
+        });
+        ipcMain.handle('export-logs', async (event, filters) => this.exportLogs(filters));
+        ipcMain.handle('scrub-remote-tokens', async () => this.scrubRemoteTokens());
     }
 
     // In the GitAutoSync constructor, modify the createMainWindow call
     async init() {
         try {
             await fs.ensureDir(this.configDir);
+            await this.loadCredentials();
+            await this.gitAuth.prepare();
             const hasExistingConfig = await this.loadConfig();
 
             // Pass whether this is first run to createMainWindow
@@ -181,6 +292,22 @@ class GitAutoSync {
                 if (!this.config.ignoredPatterns) {
                     this.config.ignoredPatterns = [...this.defaultIgnoredPatterns];
                 }
+                if (!this.config.pullStrategy) {
+                    this.config.pullStrategy = 'rebase';
+                }
+                this.config.repoDefaults = RepoOptions.withoutDefaults(this.config.repoDefaults);
+                this.config.commitMessage = CommitMessage.resolve(this.config.commitMessage);
+                this.config.largeFiles = LargeFileGuard.resolve(this.config.largeFiles);
+                this.config.retry = RetryPolicy.resolve(this.config.retry);
+                this.config.syncConcurrency = this.getSyncConcurrency();
+                this.config.githubUrl = providers.normalizeBaseUrl('github', this.config.githubUrl);
+                this.config.githubApiUrl = providers.trimUrl(this.config.githubApiUrl);
+                // Eşitleme GitHub'daki ayarların üzerine yazar, yalnızca açıkça etkinleştirilirse çalışır
+                if (typeof this.config.reconcileRepoSettings !== 'boolean') {
+                    this.config.reconcileRepoSettings = false;
+                }
+                this.config.watchPaths = this.normalizeWatchPaths(this.config.watchPaths);
+                await this.migratePlaintextToken();
                 this.logMessage('📋 Config yüklendi');
                 return true; // Config exists
             }
@@ -253,8 +380,69 @@ class GitAutoSync {
             if (!config.ignoredPatterns) {
                 config.ignoredPatterns = [...this.defaultIgnoredPatterns];
             }
-            await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
-            this.config = config;
+            if (!RemoteIntegrator.STRATEGIES.includes(config.pullStrategy)) {
+                config.pullStrategy = 'rebase';
+            }
+            config.watchPaths = this.normalizeWatchPaths(config.watchPaths);
+            config.repoDefaults = RepoOptions.withoutDefaults(config.repoDefaults);
+            config.commitMessage = CommitMessage.resolve(config.commitMessage);
+            config.largeFiles = LargeFileGuard.resolve(config.largeFiles);
+            config.retry = RetryPolicy.resolve(config.retry);
+            config.syncConcurrency = this.getSyncConcurrency(config);
+            config.reconcileRepoSettings = config.reconcileRepoSettings === true;
+            config.githubUrl = providers.normalizeBaseUrl('github', config.githubUrl);
+            config.githubApiUrl = providers.trimUrl(config.githubApiUrl);
+
+            if (!providers.isValidUrl(config.githubUrl) || (config.githubApiUrl && !providers.isValidUrl(config.githubApiUrl))) {
+                throw new Error('GitHub adresi http:// veya https:// ile başlamalı');
+            }
+
+            const targets = this.getAllTargets(config.watchPaths);
+
+            const invalidFolder = targets.find(({ target }) => target.ownerType === 'org' && !target.owner);
+            if (invalidFolder) {
+                throw new Error(`Organizasyon adı eksik: ${invalidFolder.label}`);
+            }
+
+            const invalidTemplate = targets.find(({ target }) => target.provider === 'git' && !providers.isValidTemplate(target.urlTemplate));
+            if (invalidTemplate) {
+                throw new Error(`Remote şablonu {name} içermeli: ${invalidTemplate.label}`);
+            }
+
+            // SSH anahtarları hesap (sağlayıcı + host) başına tutulur
+            config.sshKeys = Object.fromEntries(Object.entries(config.sshKeys || {})
+                .map(([account, keyPath]) => [account, String(keyPath || '').trim()])
+                .filter(([, keyPath]) => keyPath));
+            for (const keyPath of Object.values(config.sshKeys)) {
+                if (!(await fs.pathExists(keyPath))) {
+                    throw new Error(`SSH anahtarı bulunamadı: ${keyPath}`);
+                }
+            }
+
+            const invalidBaseUrl = targets.find(({ target }) => target.baseUrl && !providers.isValidUrl(target.baseUrl));
+            if (invalidBaseUrl) {
+                throw new Error(`Geçersiz sağlayıcı adresi: ${invalidBaseUrl.target.baseUrl}`);
+            }
+
+            // Token'lar config.json'a hiç yazılmaz, şifreli depoya gider
+            const { token, hasToken, credentialBackend, ...storedConfig } = config;
+            if (token) {
+                await this.credentials.set('github', token);
+            }
+            for (const { target } of targets) {
+                if (target.token) {
+                    await this.credentials.set(this.getProviderSettings(target, storedConfig).account, target.token);
+                }
+            }
+            const stripSecrets = ({ token: targetToken, hasToken: targetHasToken, ...target }) => target;
+            storedConfig.watchPaths = config.watchPaths.map(folder => ({
+                ...stripSecrets(folder),
+                mirrors: folder.mirrors.map(stripSecrets)
+            }));
+            this.providers.clear();
+
+            await fs.writeFile(this.configPath, JSON.stringify(storedConfig, null, 2));
+            this.config = storedConfig;
             this.logMessage('💾 Config kaydedildi');
             return true;
         } catch (error) {
@@ -262,6 +450,270 @@ class GitAutoSync {
             return false;
         }
     }
+    // Bozuk kimlik bilgisi dosyası uygulamanın açılmasını engellemez; boş depoyla başlanır
+    async loadCredentials() {
+        try {
+            await this.credentials.load();
+        } catch (error) {
+            this.logMessage('❌ Kimlik bilgileri okunamadı, token\'ları yeniden girmeniz gerekiyor: ' + error.message);
+            try {
+                await this.credentials.reset();
+            } catch (resetError) {
+                this.logMessage('❌ Kimlik bilgisi dosyası yedeklenemedi: ' + resetError.message);
+            }
+            return;
+        }
+
+        const { migrated, failed } = await this.credentials.migrate();
+        if (migrated > 0) {
+            this.logMessage(`🔐 ${migrated} token güvenli depoya taşındı (${this.credentials.backend})`);
+        }
+        failed.forEach(({ account, message }) => {
+            this.logMessage(`❌ Token taşınamadı (${account}): ${message}`);
+        });
+        if (!this.credentials.isAvailable) {
+            this.logMessage('⚠️ Anahtar zinciri kullanılamıyor ve GITAUTOSYNC_PASSPHRASE tanımlı değil: token kaydetmek için GITAUTOSYNC_PASSPHRASE tanımlayın');
+        }
+    }
+
+    // Eski sürümlerin config.json'a düz metin yazdığı token'ı şifreli depoya taşır
+    async migratePlaintextToken() {
+        if (!this.config?.token) return;
+
+        const { token, ...storedConfig } = this.config;
+        try {
+            await this.credentials.set('github', token);
+            await fs.writeFile(this.configPath, JSON.stringify(storedConfig, null, 2));
+            this.config = storedConfig;
+            this.logMessage(`🔐 Düz metin token şifreli depoya taşındı (${this.credentials.backend})`);
+        } catch (error) {
+            // Taşıma başarısızsa token bu oturumda bellekten kullanılmaya devam eder
+            this.logMessage('❌ Token taşıma hatası: ' + error.message);
+        }
+    }
+
+    getToken(account = 'github') {
+        try {
+            return this.credentials.get(account) || (account === 'github' ? this.config?.token : null) || null;
+        } catch (error) {
+            this.logMessage('❌ Token çözülemedi: ' + error.message);
+            return null;
+        }
+    }
+
+    // Kimlik bilgisi URL'de değil, her git çağrısında askpass (HTTPS) veya seçilen anahtar (SSH) ile verilir
+    // target: izleme klasörü (origin) veya klasördeki bir yansı
+    createGit(projectPath, target = this.getWatchFolder(this.status.projects.get(projectPath))) {
+        const provider = this.getProviderForTarget(target);
+        const { account } = this.getProviderSettings(target);
+
+        return this.gitAuth.createGit(projectPath, {
+            username: provider.askpassUsername,
+            token: provider.getToken(),
+            ssh: this.usesSsh(target),
+            sshKeyPath: this.config?.sshKeys?.[account] || null
+        });
+    }
+
+    usesSsh(watchFolder) {
+        if (watchFolder?.provider === 'git') {
+            return providers.isSshTemplate(watchFolder.urlTemplate);
+        }
+        return watchFolder?.transport === 'ssh';
+    }
+
+    getRemoteUrl(target, provider, owner, repoName) {
+        return target?.transport === 'ssh' && provider.sshUrl
+            ? provider.sshUrl(owner, repoName)
+            : provider.remoteUrl(owner, repoName);
+    }
+
+    // SSH host anahtarı / anahtar dosyası hataları genel push hatasından ayrı, çözüm önerisiyle gösterilir
+    markTransportError(project, error, remoteUrl, repoName) {
+        const transportError = GitAuth.classifyError(error, remoteUrl);
+        if (!transportError) return false;
+
+        if (project) {
+            project.transportError = transportError;
+        }
+        this.sendLog(`🔑 ${transportError.message} (${repoName}) - ${transportError.hint}`, 'error', { code: transportError.code });
+        return true;
+    }
+
+    getWatchFolder(project) {
+        return this.getWatchFolders().find(folder => folder.path === project?.watchPath) || null;
+    }
+
+    // Genel ayarlardaki GitHub adresleri (github.com veya Enterprise Server)
+    getGitHubUrls(config = this.config) {
+        const webUrl = providers.normalizeBaseUrl('github', config?.githubUrl);
+        const apiUrl = providers.trimUrl(config?.githubApiUrl) ||
+            (webUrl === providers.defaultBaseUrl('github') ? 'https://api.github.com' : `${webUrl}/api/v3`);
+        return { webUrl, apiUrl };
+    }
+
+    // Adresi boş bırakılan GitHub klasörleri genel GitHub adresini ve genel token'ı ("github") kullanır
+    getProviderSettings(watchFolder, config = this.config) {
+        const type = watchFolder?.provider || 'github';
+        const github = this.getGitHubUrls(config);
+
+        // Düz git hedefleri API kullanmaz, token yalnızca HTTPS şablonlarında gerekebilir
+        if (type === 'git') {
+            return { type, urlTemplate: watchFolder.urlTemplate, account: `git:${watchFolder.urlTemplate}` };
+        }
+
+        if (type === 'github' && (!watchFolder?.baseUrl || providers.trimUrl(watchFolder.baseUrl) === github.webUrl)) {
+            return { type, baseUrl: github.webUrl, apiUrl: github.apiUrl, account: 'github' };
+        }
+
+        const baseUrl = providers.normalizeBaseUrl(type, watchFolder?.baseUrl);
+        return { type, baseUrl, apiUrl: null, account: providers.credentialKey(type, baseUrl) };
+    }
+
+    // Projenin izleme klasöründe seçilen barındırma sağlayıcısı
+    getProvider(project) {
+        return this.getProviderForTarget(this.getWatchFolder(project));
+    }
+
+    getProviderForTarget(target) {
+        const { type, baseUrl, apiUrl, urlTemplate, account } = this.getProviderSettings(target);
+        const cacheKey = `${account}|${baseUrl || ''}|${apiUrl || ''}`;
+
+        if (!this.providers.has(cacheKey)) {
+            this.providers.set(cacheKey, providers.createProvider(type, {
+                baseUrl,
+                apiUrl,
+                urlTemplate,
+                username: this.config?.username,
+                account,
+                getToken: () => this.getToken(account)
+            }));
+        }
+        return this.providers.get(cacheKey);
+    }
+
+    // watchPaths girdileri: eski sürümlerde düz yol, şimdi { path, ownerType, owner }
+    normalizeWatchPaths(watchPaths = []) {
+        return watchPaths
+            .map(entry => typeof entry === 'string' ? { path: entry } : entry)
+            .filter(entry => entry && entry.path)
+            .map(entry => ({
+                ...this.normalizeTarget(entry),
+                // Sadece klasörde değiştirilen repo ayarları tutulur, gerisi genel varsayılanlardan gelir
+                repoOptions: RepoOptions.normalize(entry.repoOptions),
+                mirrors: this.normalizeMirrors(entry.mirrors)
+            }));
+    }
+
+    // Klasörün ana hedefi ve yansılar aynı alanları paylaşır
+    normalizeTarget(entry) {
+        const ownerType = entry.ownerType === 'org' ? 'org' : 'user';
+        const provider = providers.normalizeType(entry.provider);
+        return {
+            ...entry,
+            provider,
+            // Boş adres: sağlayıcının varsayılanı (GitHub için genel ayarlardaki adres)
+            baseUrl: provider === 'git' ? '' : providers.trimUrl(entry.baseUrl),
+            transport: provider !== 'git' && entry.transport === 'ssh' ? 'ssh' : 'https',
+            urlTemplate: provider === 'git' ? String(entry.urlTemplate || '').trim() : undefined,
+            ownerType,
+            // Kullanıcı hesabı için owner boş bırakılır, kullanıcı adı değişse de takip eder
+            owner: ownerType === 'org' ? String(entry.owner || '').trim() : null
+        };
+    }
+
+    // Yansı adları git remote adı olarak kullanılır (mirror-<ad>), benzersiz ve güvenli olmalı
+    normalizeMirrors(mirrors = []) {
+        const usedNames = new Set();
+        return (Array.isArray(mirrors) ? mirrors : [])
+            .filter(mirror => mirror && typeof mirror === 'object')
+            .map((mirror, index) => {
+                let name = String(mirror.name || '').trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || `yansi${index + 1}`;
+                while (usedNames.has(name)) name = `${name}-${index + 1}`;
+                usedNames.add(name);
+
+                const { repoOptions, mirrors: nested, path: folderPath, ...target } = mirror;
+                return { ...this.normalizeTarget(target), name };
+            });
+    }
+
+    // Doğrulama ve token saklama için klasör + yansı hedeflerinin düz listesi
+    getAllTargets(watchPaths) {
+        return watchPaths.flatMap(folder => [
+            { target: folder, label: folder.path },
+            ...folder.mirrors.map(mirror => ({ target: mirror, label: `${folder.path} → ${mirror.name}` }))
+        ]);
+    }
+
+    getWatchFolders() {
+        return this.normalizeWatchPaths(this.config?.watchPaths || []);
+    }
+
+    // Genel varsayılanlar < izleme klasörü ayarları < .gitautosync.json
+    getRepoOptions(project) {
+        return { ...RepoOptions.DEFAULTS, ...this.getExplicitRepoOptions(project) };
+    }
+
+    // Mevcut repoların eşitlenmesinde yerleşik varsayılanlar kullanılmaz, sadece kullanıcının belirlediği alanlar
+    getExplicitRepoOptions(project) {
+        const watchFolder = this.getWatchFolder(project);
+        return RepoOptions.explicit(
+            this.config?.repoDefaults,
+            watchFolder?.repoOptions,
+            { visibility: project?.overrides?.visibility }
+        );
+    }
+
+    resolveOwner(watchFolder) {
+        return watchFolder.ownerType === 'org' && watchFolder.owner ? watchFolder.owner : this.config.username;
+    }
+
+    // Eski sürümlerin remote URL'lerine yazdığı token'ları tüm izlenen projelerden temizler
+    async scrubRemoteTokens() {
+        const token = this.getToken();
+        let scannedCount = 0;
+        let scrubbedCount = 0;
+
+        this.sendLog('🧹 Remote URL\'lerindeki token\'lar temizleniyor...', 'info');
+
+        for (const [projectPath, project] of this.status.projects.entries()) {
+            if (!(await fs.pathExists(path.join(projectPath, '.git')))) continue;
+            scannedCount++;
+
+            try {
+                const scrubbed = await this.gitAuth.scrubRepository(projectPath, token);
+                if (scrubbed.length > 0) {
+                    scrubbedCount++;
+                    this.sendLog(`🧹 Token temizlendi (${project.name}): ${scrubbed.join(', ')}`, 'success');
+                }
+            } catch (error) {
+                this.sendLog(`❌ Remote temizleme hatası (${project.name}): ${error.message}`, 'error');
+            }
+        }
+
+        this.sendLog(`✅ Remote temizliği tamamlandı: ${scannedCount} repo tarandı, ${scrubbedCount} repo temizlendi`, 'success');
+        return { scanned: scannedCount, scrubbed: scrubbedCount };
+    }
+
+    // Renderer'a giden config - token asla IPC üzerinden gönderilmez
+    getPublicConfig() {
+        if (!this.config) return null;
+        const { token, ...publicConfig } = this.config;
+        return {
+            ...publicConfig,
+            watchPaths: this.getWatchFolders().map(folder => ({
+                ...folder,
+                hasToken: this.credentials.canRead(this.getProviderSettings(folder).account),
+                mirrors: folder.mirrors.map(mirror => ({
+                    ...mirror,
+                    hasToken: this.credentials.canRead(this.getProviderSettings(mirror).account)
+                }))
+            })),
+            hasToken: !!token || this.credentials.canRead('github'),
+            credentialBackend: this.credentials.backend
+        };
+    }
+
     // Tray icon dosya yolunu döndür
     getTrayIcon() {
         let iconName = 'icon.png';
@@ -355,6 +807,11 @@ class GitAutoSync {
                 click: () => this.manualSync(),
                 enabled: !!this.config && !this.status.isSyncing
             },
+            {
+                label: '🧹 Remote Token Temizliği',
+                click: () => this.scrubRemoteTokens(),
+                enabled: this.status.projects.size > 0
+            },
             {
                 label: '📊 Detayları Göster',
                 click: () => {
@@ -404,10 +861,18 @@ class GitAutoSync {
     async scanForNewProjects() {
         if (!this.config?.watchPaths || this.status.isSyncing) return;
 
-        const watchPaths = this.config.watchPaths || [];
+        const watchFolders = this.getWatchFolders();
         let newProjectsFound = 0;
 
-        for (const watchPath of watchPaths) {
+        // Silinmiş projeleri listeden kaldır
+        for (const projectPath of Array.from(this.status.projects.keys())) {
+            if (!(await fs.pathExists(projectPath))) {
+                this.removeProject(projectPath);
+            }
+        }
+
+        for (const watchFolder of watchFolders) {
+            const watchPath = watchFolder.path;
             if (!(await fs.pathExists(watchPath))) continue;
 
             try {
@@ -439,14 +904,25 @@ class GitAutoSync {
                             status: hasGitRepo ? 'ready' : 'needs-repo',
                             message: hasGitRepo ? 'Yeni proje algılandı' : 'Git repository gerekiyor',
                             progress: 0,
-                            currentOperation: ''
+                            currentOperation: '',
+                            watchPath: watchPath,
+                            owner: this.resolveOwner(watchFolder),
+                            ownerType: watchFolder.ownerType
                         };
 
+                        await this.applyProjectOverrides(project);
+                        if (hasGitRepo) {
+                            await this.refreshBranchInfo(project);
+                        }
+
                         this.projectStates.set(projectPath, { mtime, lastCheck: Date.now() });
                         this.status.projects.set(projectPath, project);
+                        this.watchProject(projectPath);
                         newProjectsFound++;
 
-                        if (hasGitRepo) {
+                        if (project.status === 'excluded') {
+                            this.sendLog(`⏭️ Yeni proje hariç tutuldu (${ProjectOverrides.FILE_NAME}): ${item}`, 'info');
+                        } else if (hasGitRepo) {
                             this.sendLog(`📁 Yeni Git projesi algılandı: ${item}`, 'info');
                         } else {
                             this.sendLog(`📁 Yeni proje algılandı (repo gerekiyor): ${item}`, 'warning');
@@ -471,106 +947,133 @@ class GitAutoSync {
         }
     }
 
-    // OPTIMIZED: Lightweight folder monitoring
+    // Olay tabanlı dosya izleme - her proje için chokidar izleyicisi
     async startFolderMonitoring() {
         if (!this.config?.watchPaths) return;
 
         this.updateStatus('monitoring', 'Klasör değişiklikleri izleniyor...', 0);
 
-        // Check folder modifications every 5 seconds
-        this.syncInterval = setInterval(async () => {
-            await this.checkFolderModifications();
-        }, 5000);
+        for (const projectPath of this.status.projects.keys()) {
+            this.watchProject(projectPath);
+        }
 
         // YENİ: Yeni proje tarama - her 30 saniyede bir
         this.projectScanInterval = setInterval(async () => {
             await this.scanForNewProjects();
         }, 30000);
 
-        this.sendLog('👁️ Klasör izleme ve yeni proje tarama başlatıldı', 'info');
+        this.sendLog(`👁️ Dosya izleme (${this.projectWatcher.size} proje) ve yeni proje tarama başlatıldı`, 'info');
+    }
+
+    watchProject(projectPath) {
+        if (!this.isRunning) return;
+        this.projectWatcher.watch(projectPath, this.getIgnoredPatterns(this.status.projects.get(projectPath)));
+    }
+
+    // Global ihmal desenleri + projenin .gitautosync.json'daki ek desenleri
+    getIgnoredPatterns(project = null) {
+        const patterns = this.config?.ignoredPatterns || this.defaultIgnoredPatterns;
+        return [...patterns, ...(project?.overrides?.ignore || [])];
+    }
+
+    getRepoName(project) {
+        return project?.overrides?.name || this.sanitizeRepoName(project?.name || '');
     }
 
-    async checkFolderModifications() {
-        if (this.status.isSyncing) return;
+    // .gitautosync.json'ı okuyup projeye uygular; dosya değişince tekrar çağrılır
+    async applyProjectOverrides(project) {
+        const result = await ProjectOverrides.load(project.path);
+        const wasExcluded = project.status === 'excluded';
 
-        let totalProjects = 0;
-        let processedProjects = 0;
+        project.overrides = result.overrides;
+        project.overrideErrors = result.errors;
+        project.overrideWarnings = result.warnings;
+        project.hasOverridesFile = result.exists;
 
-        for (const [projectPath, projectState] of this.projectStates.entries()) {
-            totalProjects++;
+        result.errors.forEach(error => {
+            this.sendLog(`⚠️ ${ProjectOverrides.FILE_NAME} hatası (${project.name}): ${error}`, 'warning');
+        });
+
+        if (result.overrides.excluded) {
+            project.status = 'excluded';
+            project.message = `Hariç tutuldu (${ProjectOverrides.FILE_NAME})`;
+        } else if (wasExcluded) {
+            project.status = project.hasGitRepo ? 'ready' : 'needs-repo';
+            project.message = project.hasGitRepo ? 'Hazır' : 'Git repository gerekiyor';
         }
 
-        for (const [projectPath, projectState] of this.projectStates.entries()) {
-            try {
-                if (!(await fs.pathExists(projectPath))) {
-                    // Proje silinmişse listeden kaldır
-                    this.projectStates.delete(projectPath);
-                    this.status.projects.delete(projectPath);
-                    this.sendLog(`❌ Proje kaldırıldı: ${path.basename(projectPath)}`, 'warning');
-                    continue;
-                }
+        return result;
+    }
+
+    async reloadProjectOverrides(projectPath) {
+        const project = this.status.projects.get(projectPath);
+        if (!project) return;
+
+        await this.applyProjectOverrides(project);
+        if (project.hasGitRepo) {
+            await this.refreshBranchInfo(project);
+        }
 
-                const projectName = path.basename(projectPath);
-                processedProjects++;
-                const checkProgress = Math.round((processedProjects / totalProjects) * 100);
+        // Ek ihmal desenleri değişmiş olabilir, izleyici yeniden kurulur
+        await this.projectWatcher.unwatch(projectPath);
+        this.watchProject(projectPath);
 
-                // Update current path being checked
-                this.stats.currentPath = projectPath;
+        this.sendLog(`🔧 Proje ayarları yeniden yüklendi: ${project.name}`, 'info');
+        this.sendStatus();
+    }
 
-                // Update status with current checking info
-                this.updateStatus('monitoring',
-                    `Değişiklikler inceleniyor: ${projectName} (${checkProgress}%)`,
-                    checkProgress);
+    handleFileChange(projectPath, filePath, event) {
+        const project = this.status.projects.get(projectPath);
+        if (!project) return;
 
-                const folderStat = await fs.stat(projectPath);
-                const currentMtime = folderStat.mtime.getTime();
+        // Ayar dosyası da bir değişikliktir; yeni ayarlar projeyi hariç tutmuyorsa normal akışla kuyruğa alınır
+        if (path.basename(filePath) === ProjectOverrides.FILE_NAME && path.dirname(filePath) === projectPath) {
+            this.reloadProjectOverrides(projectPath)
+                .then(() => this.markProjectChanged(projectPath, filePath))
+                .catch(error => this.sendLog(`❌ Proje ayarları yüklenemedi (${project.name}): ${error.message}`, 'error'));
+            return;
+        }
 
-                // Check if it has .git directory
-                const gitPath = path.join(projectPath, '.git');
-                const hasGitRepo = await fs.pathExists(gitPath);
+        this.markProjectChanged(projectPath, filePath);
+    }
 
-                // Update project info
-                const project = this.status.projects.get(projectPath);
-                if (project) {
-                    project.hasGitRepo = hasGitRepo;
-                    project.lastCheck = new Date().toISOString();
-
-                    if (!hasGitRepo) {
-                        project.status = 'needs-repo';
-                        project.message = 'Git repository gerekiyor';
-                        this.debouncedQueueAdd(projectPath);
-                    } else if (currentMtime > projectState.mtime) {
-                        project.lastModified = currentMtime;
-                        project.status = 'changed';
-                        project.message = 'Değişiklikler algılandı';
-                        this.debouncedQueueAdd(projectPath);
-                    } else {
-                        project.status = 'ready';
-                        project.message = 'Güncel';
-                    }
-                }
+    markProjectChanged(projectPath, filePath) {
+        const project = this.status.projects.get(projectPath);
+        if (!project || project.status === 'excluded') return;
 
-                // Only update mtime if folder actually changed
-                if (currentMtime > projectState.mtime) {
-                    this.projectStates.set(projectPath, {
-                        mtime: currentMtime,
-                        lastCheck: Date.now()
-                    });
-                }
+        const now = Date.now();
+        this.projectStates.set(projectPath, { mtime: now, lastCheck: now });
 
-                // Small delay to prevent blocking
-                await new Promise(resolve => setTimeout(resolve, 50));
+        project.lastModified = now;
+        project.lastCheck = new Date(now).toISOString();
 
-            } catch (error) {
-                this.sendLog(`❌ Klasör kontrol hatası: ${error.message}`, 'error');
-            }
+        if (project.status !== 'syncing' && project.status !== 'conflict') {
+            project.status = 'changed';
+            project.message = `Değişiklikler algılandı: ${path.relative(projectPath, filePath) || project.name}`;
         }
 
-        // Clear current path when done
-        this.stats.currentPath = null;
+        this.debouncedQueueAdd(projectPath);
+    }
 
-        // Update status back to monitoring when done
-        this.updateStatus('monitoring', 'Klasör değişiklikleri izleniyor...', 0);
+    removeProject(projectPath) {
+        this.projectWatcher.unwatch(projectPath);
+
+        if (this.debounceTimers.has(projectPath)) {
+            clearTimeout(this.debounceTimers.get(projectPath));
+            this.debounceTimers.delete(projectPath);
+        }
+
+        this.projectStates.delete(projectPath);
+        this.syncQueue.delete(projectPath);
+
+        this.clearRetryTimer(projectPath);
+
+        if (this.status.projects.delete(projectPath)) {
+            this.stats.totalProjects = this.status.projects.size;
+            this.scheduleStateSave();
+            this.sendLog(`❌ Proje kaldırıldı: ${path.basename(projectPath)}`, 'warning');
+            this.sendStatus();
+        }
     }
 
     // scanProjects fonksiyonunu güncelleyin - boyut hesaplama kaldırıldı
@@ -578,13 +1081,13 @@ class GitAutoSync {
         this.updateStatus('scanning', 'Projeler taranıyor...', 0);
         this.sendLog('🔍 Proje taraması başlatıldı...', 'info');
 
-        const watchPaths = this.config.watchPaths || [];
+        const watchFolders = this.getWatchFolders();
         let projectCount = 0;
         let totalItems = 0;
         let processedItems = 0;
 
         // First count total items
-        for (const watchPath of watchPaths) {
+        for (const { path: watchPath } of watchFolders) {
             this.stats.currentPath = watchPath;
             if (await fs.pathExists(watchPath)) {
                 try {
@@ -596,7 +1099,8 @@ class GitAutoSync {
             }
         }
 
-        for (const watchPath of watchPaths) {
+        for (const watchFolder of watchFolders) {
+            const watchPath = watchFolder.path;
             this.stats.currentPath = watchPath;
 
             if (!(await fs.pathExists(watchPath))) {
@@ -638,14 +1142,24 @@ class GitAutoSync {
                             status: hasGitRepo ? 'ready' : 'needs-repo',
                             message: hasGitRepo ? 'Hazır' : 'Git repository gerekiyor',
                             progress: 0,
-                            currentOperation: ''
+                            currentOperation: '',
+                            watchPath: watchPath,
+                            owner: this.resolveOwner(watchFolder),
+                            ownerType: watchFolder.ownerType
                         };
 
+                        await this.applyProjectOverrides(project);
+                        if (hasGitRepo) {
+                            await this.refreshBranchInfo(project);
+                        }
+
                         this.projectStates.set(projectPath, { mtime, lastCheck: Date.now() });
                         this.status.projects.set(projectPath, project);
                         projectCount++;
 
-                        if (hasGitRepo) {
+                        if (project.status === 'excluded') {
+                            this.sendLog(`⏭️ Proje hariç tutuldu (${ProjectOverrides.FILE_NAME}): ${item}`, 'info');
+                        } else if (hasGitRepo) {
                             this.sendLog(`📁 Git projesi eklendi: ${item}`, 'info');
                         } else {
                             this.sendLog(`📁 Proje eklendi (repo gerekiyor): ${item}`, 'warning');
@@ -676,7 +1190,7 @@ class GitAutoSync {
 
     // processQueue fonksiyonunu güncelleyin - simplified transfer stats
     async processQueue() {
-        if (this.status.isSyncing || this.syncQueue.size === 0) return;
+        if (this.status.isSyncing || this.syncQueue.size === 0 || this.isQueuePaused()) return;
 
         this.status.isSyncing = true;
         const projectPaths = Array.from(this.syncQueue);
@@ -687,6 +1201,7 @@ class GitAutoSync {
             startTime: Date.now(),
             completedProjects: 0,
             failedProjects: 0,
+            deferredProjects: 0,
             totalProjects: projectPaths.length
         };
 
@@ -698,67 +1213,41 @@ class GitAutoSync {
             uploadedFiles: 0
         };
 
-        this.updateStatus('syncing', 'Senkronizasyon başlatılıyor...', 0);
-        this.sendLog(`🔄 ${projectPaths.length} proje senkronize ediliyor...`, 'info');
-
-        for (let i = 0; i < projectPaths.length; i++) {
-            const projectPath = projectPaths[i];
-            const projectName = path.basename(projectPath);
-
-            this.stats.currentProject = projectName;
-            this.stats.currentPath = projectPath;
-
-            // Her projenin başlangıç progress değeri
-            const baseProgress = (i / projectPaths.length) * 100;
-
-            this.updateStatus('syncing', `Senkronize ediliyor: ${projectName} (${i+1}/${projectPaths.length})`, baseProgress);
-
-            // Update project status
-            const project = this.status.projects.get(projectPath);
-            if (project) {
-                project.status = 'syncing';
-                project.currentOperation = 'Başlatılıyor...';
-                project.progress = 0;
-            }
-
-            this.sendStatus();
+        // Genel ilerleme: her projenin kendi ilerlemesinin (0-100) toplamı / proje sayısı
+        this.batchProgress = new Map(projectPaths.map(projectPath => [projectPath, 0]));
+        this.activeProjects.clear();
 
-            // Proje senkronizasyonu ve progress callback ile
-            const success = await this.syncProjectWithProgress(projectPath, projectName, i, projectPaths.length);
-
-            if (success) {
-                this.stats.completedProjects++;
-                this.transferStats.uploadedFiles++;
-                // Proje tamamlandığında tam progress değeri
-                const completedProgress = ((i + 1) / projectPaths.length) * 100;
-                this.updateStatus('syncing', `Tamamlandı: ${projectName} (${i+1}/${projectPaths.length})`, completedProgress);
+        const workerCount = Math.min(this.getSyncConcurrency(), projectPaths.length);
+        this.updateStatus('syncing', 'Senkronizasyon başlatılıyor...', 0);
+        this.sendLog(`🔄 ${projectPaths.length} proje senkronize ediliyor (${workerCount} paralel)...`, 'info');
 
-                if (project) {
-                    project.status = 'synced';
-                    project.lastCheck = new Date().toISOString();
-                    project.message = 'Başarıyla senkronize edildi';
-                    project.progress = 100;
-                    project.currentOperation = 'Tamamlandı';
-                }
-            } else {
-                this.stats.failedProjects++;
-                if (project) {
-                    project.status = 'error';
-                    project.message = 'Senkronizasyon hatası';
-                    project.progress = 0;
-                    project.currentOperation = 'Hata oluştu';
+        // Her işçi kuyruktan sıradaki projeyi alır; aynı proje hiçbir zaman iki işçiye düşmez
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < projectPaths.length && !this.isQueuePaused()) {
+                const projectPath = projectPaths[nextIndex++];
+                try {
+                    await this.syncQueuedProject(projectPath, projectPaths.length);
+                } catch (error) {
+                    // Tek projedeki beklenmeyen hata diğer işçileri durdurmasın
+                    this.sendLog(`❌ ${path.basename(projectPath)} beklenmeyen hata: ${error.message}`, 'error', { projectPath });
+                    this.setProjectProgress(projectPath, 100);
                 }
             }
+        };
+        await Promise.all(Array.from({ length: workerCount }, () => worker()));
 
-            // Small delay to prevent UI blocking
-            await new Promise(resolve => setTimeout(resolve, 500));
+        // Limit nedeniyle başlatılamayan projeler kuyruğa geri döner
+        for (const projectPath of projectPaths.slice(nextIndex)) {
+            this.deferProject(projectPath);
         }
 
         const duration = Math.round((Date.now() - this.stats.startTime) / 1000);
 
         this.updateStatus('monitoring', 'Senkronizasyon tamamlandı', 100);
 
-        this.sendLog(`✅ Senkronizasyon tamamlandı! ${this.stats.completedProjects}/${this.stats.totalProjects} proje başarılı (${duration}s)`, 'success');
+        const deferredText = this.stats.deferredProjects > 0 ? `, ${this.stats.deferredProjects} proje push bekliyor` : '';
+        this.sendLog(`✅ Senkronizasyon tamamlandı! ${this.stats.completedProjects}/${this.stats.totalProjects} proje başarılı${deferredText} (${duration}s)`, 'success');
 
         this.showNotification('GitHubAutoSync',
             `${this.stats.completedProjects} proje başarıyla senkronize edildi! (${duration}s)`);
@@ -766,102 +1255,250 @@ class GitAutoSync {
         this.status.isSyncing = false;
         this.stats.currentProject = null;
         this.stats.currentPath = null;
+        this.activeProjects.clear();
+        this.transferStats.currentFile = '';
 
         setTimeout(() => {
             this.updateStatus('monitoring', 'Klasör değişiklikleri izleniyor...', 0);
         }, 2000);
     }
 
-    // Simplified sync function
-    async syncProjectWithProgress(projectPath, projectName, projectIndex, totalProjects) {
+    // Tek bir projenin senkronizasyonu ve sonucunun proje durumuna işlenmesi (işçi başına bir proje)
+    async syncQueuedProject(projectPath, totalProjects) {
+        const projectName = path.basename(projectPath);
         const project = this.status.projects.get(projectPath);
-        const startTime = Date.now();
 
-        // Progress callback fonksiyonu
-        const updateProgressCallback = (operation, projectProgress) => {
-            // Upload hızı hesaplama - simplified
-            if (this.transferStats.uploadedFiles > 0) {
-                const elapsedSeconds = (Date.now() - startTime) / 1000;
-                this.transferStats.uploadSpeed = this.transferStats.uploadedFiles / elapsedSeconds;
-            }
+        if (project?.status === 'excluded') {
+            this.sendLog(`⏭️ ${projectName} atlandı (${ProjectOverrides.FILE_NAME} ile hariç tutuldu)`, 'info');
+            this.setProjectProgress(projectPath, 100);
+            return;
+        }
 
-            // Proje bazlı progress güncelleme
-            if (project) {
-                project.currentOperation = operation;
-                project.progress = Math.round(projectProgress * 10) / 10;
-                this.sendStatus();
-            }
+        this.stats.currentProject = projectName;
+        this.stats.currentPath = projectPath;
+        this.clearRetryTimer(projectPath);
+        this.activeProjects.set(projectPath, projectName);
+        this.transferStats.currentFile = Array.from(this.activeProjects.values()).join(', ');
 
-            // Genel progress hesaplama
-            const baseProgress = (projectIndex / totalProjects) * 100;
-            const projectContribution = (1 / totalProjects) * 100;
-            const currentProjectProgress = (projectProgress / 100) * projectContribution;
-            const overallProgress = baseProgress + currentProjectProgress;
+        if (project) {
+            project.status = 'syncing';
+            project.currentOperation = 'Başlatılıyor...';
+            project.progress = 0;
+        }
+        this.updateStatus('syncing', `Senkronize ediliyor: ${projectName}`, this.getBatchProgress());
 
-            const roundedProgress = Math.round(overallProgress * 10) / 10;
+        // Proje senkronizasyonu ve progress callback ile
+        const run = { startedAt: new Date().toISOString() };
+        const success = await this.logContext.run({ projectPath, phase: 'prepare' },
+            () => this.syncProjectWithProgress(projectPath, projectName, run));
 
-            // Transfer bilgilerini güncelle - simplified
-            const speedText = this.transferStats.uploadSpeed > 0 ?
-                ` (${this.transferStats.uploadSpeed.toFixed(1)} proje/s)` : '';
+        this.activeProjects.delete(projectPath);
+        this.transferStats.currentFile = Array.from(this.activeProjects.values()).join(', ');
 
-            this.updateStatus('syncing',
-                `${operation} - ${projectName}${speedText}`,
-                roundedProgress
-            );
-        };
+        // API limitine takılan proje başarısız sayılmaz, limit sıfırlanınca yeniden denenir
+        if (run.rateLimited) {
+            this.deferProject(projectPath);
+            this.setProjectProgress(projectPath, 100);
+            return;
+        }
 
-        try {
-            updateProgressCallback('Klasör kontrol ediliyor...', 5.0);
+        if (run.deferred) {
+            // Çevrimdışı ertelenen push başarısız sayılmaz, bağlantı gelince otomatik gönderilir
+            this.stats.deferredProjects++;
+            if (project) {
+                project.status = 'pending-push';
+                project.message = run.filesChanged > 0
+                    ? `${run.filesChanged} dosya yerel olarak commit edildi - push bekliyor`
+                    : 'Ağ bağlantısı bekleniyor';
+                project.progress = 0;
+                project.currentOperation = 'Push bekliyor';
+                delete project.retry;
+            }
+        } else if (success) {
+            this.stats.completedProjects++;
+            this.transferStats.uploadedFiles++;
 
-            if (!(await fs.pathExists(projectPath))) {
-                this.sendLog(`❌ Proje klasörü bulunamadı: ${projectPath}`, 'error');
-                return false;
+            if (project) {
+                const failedMirrors = (project.remotes || []).filter(remote => remote.status === 'error').length;
+                project.status = 'synced';
+                project.lastCheck = new Date().toISOString();
+                project.message = failedMirrors > 0
+                    ? `Senkronize edildi (${failedMirrors} yansı hatası)`
+                    : 'Başarıyla senkronize edildi';
+                project.progress = 100;
+                project.currentOperation = 'Tamamlandı';
+                project.lastSyncedCommit = run.commitSha || project.lastSyncedCommit || null;
+                project.lastSyncedAt = new Date().toISOString();
+                delete project.lastError;
+                delete project.retry;
+            }
+        } else if (project?.conflict) {
+            project.status = 'conflict';
+            project.message = project.conflict.reason === 'conflict'
+                ? `Çakışma: ${project.conflict.files.length} dosya`
+                : 'Push reddedildi - uzak dal ilerlemiş';
+            project.progress = 0;
+            project.currentOperation = 'Çözüm bekleniyor';
+        } else {
+            this.stats.failedProjects++;
+            if (project) {
+                project.status = 'error';
+                project.message = this.getFailureMessage(project);
+                project.progress = 0;
+                project.currentOperation = 'Hata oluştu';
+                project.lastError = {
+                    message: run.error || project.message,
+                    code: run.errorCode || project.transportError?.code || null,
+                    at: new Date().toISOString()
+                };
+                this.scheduleRetry(projectPath, project, run);
             }
+        }
 
-            this.transferStats.currentFile = projectName;
+        // Başarılı da olsa başarısız da olsa proje bu tur için bitmiştir
+        this.setProjectProgress(projectPath, 100);
+        this.updateTransferSpeed();
+        const finished = this.stats.completedProjects + this.stats.failedProjects + this.stats.deferredProjects;
+        this.updateStatus('syncing', `Tamamlandı: ${projectName} (${finished}/${totalProjects})`, this.getBatchProgress());
 
-            const repoName = this.sanitizeRepoName(projectName);
-            updateProgressCallback('GitHub repository kontrol ediliyor...', 15.0);
+        this.recordHistory(projectPath, project, run, success);
+        this.scheduleStateSave();
+    }
 
-            // Network kontrolü
-            if (!this.networkStatus.isOnline) {
-                updateProgressCallback('Ağ bağlantısı yok', 0);
-                this.sendLog(`❌ Ağ bağlantısı yok (${repoName})`, 'error');
-                return false;
-            }
+    setProjectProgress(projectPath, progress) {
+        if (this.batchProgress.has(projectPath)) {
+            this.batchProgress.set(projectPath, Math.min(100, Math.max(0, progress)));
+        }
+    }
 
-            // Check if repository exists
-            let repoExists = false;
+    getBatchProgress() {
+        if (this.batchProgress.size === 0) return 0;
+        let total = 0;
+        for (const progress of this.batchProgress.values()) total += progress;
+        return Math.round((total / this.batchProgress.size) * 10) / 10;
+    }
+
+    // Hız tüm işçiler için tur başından itibaren ölçülür
+    updateTransferSpeed() {
+        const elapsedSeconds = (Date.now() - this.stats.startTime) / 1000;
+        this.transferStats.uploadSpeed = elapsedSeconds > 0 ? this.transferStats.uploadedFiles / elapsedSeconds : 0;
+    }
+
+    getSyncConcurrency(config = this.config) {
+        const value = parseInt(config?.syncConcurrency, 10);
+        return Number.isInteger(value) ? Math.min(MAX_SYNC_CONCURRENCY, Math.max(1, value)) : DEFAULT_SYNC_CONCURRENCY;
+    }
+
+    // Simplified sync function
+    // run: geçmiş kaydı için commit SHA, dosya sayısı, gönderilen byte ve hata bu nesneye yazılır
+    async syncProjectWithProgress(projectPath, projectName, run = {}) {
+        const project = this.status.projects.get(projectPath);
+
+        const logError = (message, code = null) => {
+            run.error = message.replace(/^❌\s*/, '');
+            run.errorCode = code;
+            this.sendLog(message, 'error', { code });
+        };
+
+        // Progress callback fonksiyonu
+        // Hata durumunda 0'a çekilen ilerleme genel ilerlemeyi geri götürmez, proje bitince 100 sayılır
+        const updateProgressCallback = (operation, projectProgress) => {
+            // Proje bazlı progress güncelleme
+            if (project) {
+                project.currentOperation = operation;
+                project.progress = Math.round(projectProgress * 10) / 10;
+            }
+            if (projectProgress > 0) {
+                this.setProjectProgress(projectPath, projectProgress);
+            }
+            this.updateTransferSpeed();
+
+            // Transfer bilgilerini güncelle - simplified
+            const speedText = this.transferStats.uploadSpeed > 0 ?
+                ` (${this.transferStats.uploadSpeed.toFixed(1)} proje/s)` : '';
+
+            this.updateStatus('syncing',
+                `${operation} - ${projectName}${speedText}`,
+                this.getBatchProgress()
+            );
+        };
+
+        if (project) {
+            delete project.conflict;
+            delete project.transportError;
+            delete project.largeFiles;
+            delete project.secretFindings;
+        }
+
+        try {
+            updateProgressCallback('Klasör kontrol ediliyor...', 5.0);
+
+            if (!(await fs.pathExists(projectPath))) {
+                logError(`❌ Proje klasörü bulunamadı: ${projectPath}`);
+                return false;
+            }
+
+            const repoName = this.getRepoName(project || { name: projectName });
+            const ownerType = project?.ownerType || 'user';
+            const provider = this.getProvider(project);
+            this.setLogPhase('repository');
+            updateProgressCallback(`${provider.label} repository kontrol ediliyor...`, 15.0);
+
+            // Ağ yokken (yerel bare repo hedefleri hariç) yalnızca yerel commit yapılır
+            if (provider.requiresNetwork && !this.networkStatus.isOnline) {
+                return this.commitOffline(projectPath, project, repoName, run, logError, updateProgressCallback);
+            }
+
+            // Check if repository exists
+            const repoOptions = this.getRepoOptions(project);
+            let owner;
+            let existingRepo = null;
             try {
-                repoExists = await this.checkGitHubRepo(repoName);
+                // Kişisel hesapta sahip, sağlayıcıdaki kullanıcı adıdır (GitLab'da GitHub'dakinden farklı olabilir)
+                owner = ownerType === 'org' && project?.owner ? project.owner : await provider.getUsername();
+                if (project) project.owner = owner;
+                existingRepo = await provider.exists(owner, repoName);
             } catch (error) {
-                this.sendLog(`❌ GitHub bağlantı hatası (${repoName}): ${error.message}`, 'error');
-                updateProgressCallback('GitHub bağlantı hatası', 0);
+                if (this.handleRateLimit(error, run)) {
+                    updateProgressCallback('API limiti - bekleniyor', 0);
+                    return false;
+                }
+                logError(`❌ ${provider.label} bağlantı hatası (${repoName}): ${error.message}`);
+                updateProgressCallback(`${provider.label} bağlantı hatası`, 0);
                 return false;
             }
+            const remoteUrl = this.getRemoteUrl(this.getWatchFolder(project), provider, owner, repoName);
 
             // Create repository if it doesn't exist
-            if (!repoExists) {
-                updateProgressCallback('GitHub repository oluşturuluyor...', 25.0);
-                this.sendLog(`📦 Repository oluşturuluyor: ${repoName}`, 'info');
+            if (!existingRepo) {
+                updateProgressCallback(`${provider.label} repository oluşturuluyor...`, 25.0);
+                this.sendLog(`📦 Repository oluşturuluyor: ${owner}/${repoName} (${provider.label}, ${repoOptions.visibility})`, 'info');
                 try {
-                    await this.createGitHubRepo(repoName);
-                    this.sendLog(`✅ Repository oluşturuldu: ${repoName}`, 'success');
+                    await provider.create(owner, ownerType, repoName, repoOptions);
+                    this.sendLog(`✅ Repository oluşturuldu: ${owner}/${repoName}`, 'success');
                     await new Promise(resolve => setTimeout(resolve, 1000));
                     updateProgressCallback('Repository oluşturuldu', 35.0);
                 } catch (error) {
-                    this.sendLog(`❌ Repository oluşturulamadı (${repoName}): ${error.message}`, 'error');
+                    if (this.handleRateLimit(error, run)) {
+                        updateProgressCallback('API limiti - bekleniyor', 0);
+                        return false;
+                    }
+                    logError(`❌ Repository oluşturulamadı (${repoName}): ${error.message}`);
                     updateProgressCallback('Repository oluşturma hatası', 0);
                     return false;
                 }
             } else {
                 updateProgressCallback('Repository mevcut', 35.0);
+                if (this.config.reconcileRepoSettings) {
+                    await this.reconcileRepo(provider, owner, existingRepo, this.getExplicitRepoOptions(project));
+                }
             }
 
+            this.setLogPhase('init');
             updateProgressCallback('Git repository kontrol ediliyor...', 45.0);
 
             // Git operations
-            const git = simpleGit(projectPath);
+            const git = this.createGit(projectPath);
 
             let isRepo = false;
             try {
@@ -874,13 +1511,13 @@ class GitAutoSync {
                 updateProgressCallback('Yerel Git repository başlatılıyor...', 55.0);
                 this.sendLog(`🔧 Git repository başlatılıyor: ${repoName}`, 'info');
                 try {
-                    await this.initGitRepo(git, repoName, projectPath);
+                    await this.initGitRepo(git, repoName, projectPath, this.getProjectSettings(projectPath).targetBranch || project?.overrides?.branch || 'main', remoteUrl, provider);
                     updateProgressCallback('Git repository başlatıldı', 65.0);
                     if (project) {
                         project.hasGitRepo = true;
                     }
                 } catch (error) {
-                    this.sendLog(`❌ Git repo başlatma hatası (${repoName}): ${error.message}`, 'error');
+                    logError(`❌ Git repo başlatma hatası (${repoName}): ${error.message}`);
                     updateProgressCallback('Git başlatma hatası', 0);
                     return false;
                 }
@@ -888,81 +1525,151 @@ class GitAutoSync {
                 updateProgressCallback('Git repository mevcut', 65.0);
             }
 
+            // Dal tespiti - upstream bilgisi remote güncellenmeden önce okunur
+            const branchInfo = await this.refreshBranchInfo(project || { path: projectPath }, git);
+            if (!branchInfo.current) {
+                logError(`❌ Detached HEAD durumunda push yapılamaz (${repoName}) - bir dala geçin`);
+                updateProgressCallback('Detached HEAD', 0);
+                return false;
+            }
+            const targetBranch = branchInfo.targetBranch;
+
             updateProgressCallback('Remote URL güncelleniyor...', 70.0);
 
-            // Setup remote
+            // Setup remote - set-url ile upstream ayarları korunur
             try {
-                await git.removeRemote('origin').catch(() => {});
-                const encodedRepoName = encodeURIComponent(repoName);
-                const remoteUrl = `https://${this.config.token}@github.com/${this.config.username}/${encodedRepoName}.git`;
-                await git.addRemote('origin', remoteUrl);
+                const remotes = await git.getRemotes();
+                if (remotes.some(remote => remote.name === 'origin')) {
+                    await git.remote(['set-url', 'origin', remoteUrl]);
+                } else {
+                    await git.addRemote('origin', remoteUrl);
+                }
                 updateProgressCallback('Remote URL güncellendi', 75.0);
             } catch (error) {
                 this.sendLog(`⚠️ Remote URL güncellenemedi (${repoName}): ${error.message}`, 'warning');
                 updateProgressCallback('Remote URL uyarısı', 75.0);
             }
 
+            this.setLogPhase('commit');
             updateProgressCallback('Değişiklikler kontrol ediliyor...', 80.0);
 
             // Check for changes and commit
             let hasChanges = false;
             let changedFileCount = 0;
             try {
-                const status = await git.status();
-                hasChanges = status.files.length > 0;
-                changedFileCount = status.files.length;
-
-                if (hasChanges) {
-                    this.transferStats.totalFiles += changedFileCount;
-                    updateProgressCallback(`${changedFileCount} dosya commit ediliyor...`, 85.0);
-                    this.sendLog(`📝 ${changedFileCount} dosya değişikliği commit ediliyor: ${repoName}`, 'info');
-                    await git.add('.');
-                    await git.commit(`Auto sync - ${new Date().toLocaleString('tr-TR')}`);
-                    updateProgressCallback('Değişiklikler commit edildi', 90.0);
-                } else {
-                    updateProgressCallback('Değişiklik bulunamadı', 85.0);
-                }
+                const commitResult = await this.commitChanges(git, project, projectPath, repoName, run, updateProgressCallback);
+                if (commitResult.blocked) return false;
+                ({ hasChanges, changedFileCount } = commitResult);
             } catch (error) {
-                this.sendLog(`❌ Commit hatası (${repoName}): ${error.message}`, 'error');
+                logError(`❌ Commit hatası (${repoName}): ${error.message}`);
                 updateProgressCallback('Commit hatası', 0);
                 return false;
             }
 
-            updateProgressCallback('GitHub\'a yükleniyor...', 95.0);
+            // Yansılar origin'in sonucundan bağımsız olarak gönderilir; origin de diğer remote'lar gibi
+            // kendi durumuyla project.remotes'a yazılır. Yansı hataları projeyi başarısız saymaz.
+            const previousOrigin = (project?.remotes || []).find(remote => remote.name === 'origin');
+            const pushRemotes = async (originError = null) => {
+                const phase = this.logContext.getStore()?.phase;
+                const mirrorResults = await this.pushMirrors(project, projectPath, repoName, branchInfo.current, targetBranch, updateProgressCallback);
+                this.setLogPhase(phase);
+                if (!project) return;
+
+                const origin = { name: 'origin', label: provider.label, url: GitAuth.stripCredentials(remoteUrl), status: 'ok', message: 'Gönderildi', lastPushAt: new Date().toISOString() };
+                if (originError) {
+                    const transportError = GitAuth.classifyError(originError, remoteUrl);
+                    origin.status = 'error';
+                    origin.message = transportError
+                        ? transportError.message
+                        : this.isPushRejection(originError) ? 'Push reddedildi - uzak dal ilerlemiş' : originError.message;
+                    origin.lastPushAt = previousOrigin?.lastPushAt || null;
+                }
+                project.remotes = [origin, ...mirrorResults];
+            };
 
-            // Push changes
+            // Pull phase - uzak dal ilerlediyse push öncesi yerel commit'lerle birleştir
+            this.setLogPhase('integrate');
             try {
-                await git.push('origin', 'main');
-                if (hasChanges) {
-                    this.sendLog(`✅ Başarıyla senkronize edildi: ${repoName} (${changedFileCount} dosya yüklendi)`, 'success');
-                    updateProgressCallback('Başarıyla tamamlandı', 100.0);
-                } else {
-                    this.sendLog(`ℹ️ Değişiklik yok: ${repoName}`, 'info');
-                    updateProgressCallback('Değişiklik yok - Güncel', 100.0);
+                const integrator = new RemoteIntegrator(git, { strategy: this.config.pullStrategy });
+                const integration = await integrator.integrate(targetBranch, updateProgressCallback);
+
+                if (integration.status === 'integrated') {
+                    this.sendLog(`🔀 ${integration.behind} uzak commit birleştirildi (${integrator.strategy}): ${repoName}`, 'info');
+                    updateProgressCallback('Uzak değişiklikler birleştirildi', 94.0);
+                } else if (integration.status === 'up-to-date') {
+                    updateProgressCallback('Uzak dal güncel', 94.0);
+                }
+            } catch (error) {
+                await pushRemotes(error);
+                if (error.code === 'INTEGRATION_FAILED' && error.files?.length > 0) {
+                    this.markConflict(project, { reason: 'conflict', branch: targetBranch, files: error.files });
+                    this.sendLog(`⚔️ Çakışma (${repoName}): ${error.files.join(', ')}`, 'warning', { code: 'MERGE_CONFLICT' });
+                    updateProgressCallback('Çakışma - çözüm bekleniyor', 0);
+                    return false;
+                }
+                if (this.markTransportError(project, error, remoteUrl, repoName)) {
+                    updateProgressCallback(project?.transportError?.message || 'SSH hatası', 0);
+                    return false;
+                }
+                logError(`❌ Uzak değişiklikler birleştirilemedi (${repoName}): ${error.message}`);
+                updateProgressCallback('Birleştirme hatası - değişiklikler geri alındı', 0);
+                return false;
+            }
+
+            updateProgressCallback(`${provider.label}'a yükleniyor (${branchInfo.current} → ${targetBranch})...`, 95.0);
+
+            // Push changes - yerel dal hedef dala gönderilir, upstream her seferinde ayarlanır
+            this.setLogPhase('push');
+            let originPushError = null;
+            try {
+                // --progress: "Writing objects" satırından gönderilen byte sayısı okunur
+                // Çıktı dinleyicisi sonraki komutlara taşınmasın diye push ayrı bir git örneğiyle yapılır
+                let pushOutput = '';
+                const pushGit = this.createGit(projectPath);
+                pushGit.outputHandler((command, stdout, stderr) => {
+                    stderr.on('data', chunk => { pushOutput += chunk.toString(); });
+                });
+                await pushGit.push(['--progress', '-u', 'origin', `${branchInfo.current}:${targetBranch}`]);
+                run.bytesPushed = SyncHistory.parsePushedBytes(pushOutput);
+                run.commitSha = (await git.revparse(['HEAD'])).trim();
+                if (project) {
+                    project.upstream = `origin/${targetBranch}`;
                 }
             } catch (pushError) {
-                if (pushError.message.includes('upstream') || pushError.message.includes('no upstream')) {
-                    try {
-                        updateProgressCallback('İlk yükleme yapılıyor...', 98.0);
-                        await git.push(['-u', 'origin', 'main']);
-                        this.sendLog(`✅ İlk push tamamlandı: ${repoName}`, 'success');
-                        updateProgressCallback('İlk yükleme tamamlandı', 100.0);
-                    } catch (upstreamError) {
-                        this.sendLog(`❌ Push hatası (${repoName}): ${upstreamError.message}`, 'error');
-                        updateProgressCallback('Yükleme hatası', 0);
-                        return false;
-                    }
-                } else {
-                    this.sendLog(`❌ Push hatası (${repoName}): ${pushError.message}`, 'error');
-                    updateProgressCallback('Yükleme hatası', 0);
+                originPushError = pushError;
+            }
+
+            await pushRemotes(originPushError);
+
+            if (originPushError) {
+                const pushError = originPushError;
+                if (this.isPushRejection(pushError)) {
+                    this.markConflict(project, { reason: 'rejected', branch: targetBranch, files: [] });
+                    this.sendLog(`⚔️ Push reddedildi (${repoName}): uzak dal ilerlemiş (non-fast-forward)`, 'warning', { code: 'PUSH_REJECTED' });
+                    updateProgressCallback('Push reddedildi - çözüm bekleniyor', 0);
+                    return false;
+                }
+                if (this.markTransportError(project, pushError, remoteUrl, repoName)) {
+                    updateProgressCallback(project?.transportError?.message || 'SSH hatası', 0);
                     return false;
                 }
+                logError(`❌ Push hatası (${repoName}): ${pushError.message}`);
+                updateProgressCallback('Yükleme hatası', 0);
+                return false;
+            }
+
+            if (hasChanges) {
+                this.sendLog(`✅ Başarıyla senkronize edildi: ${repoName} [${targetBranch}] (${changedFileCount} dosya yüklendi)`, 'success');
+                updateProgressCallback('Başarıyla tamamlandı', 100.0);
+            } else {
+                this.sendLog(`ℹ️ Değişiklik yok: ${repoName} [${targetBranch}]`, 'info');
+                updateProgressCallback('Değişiklik yok - Güncel', 100.0);
             }
 
             return true;
 
         } catch (error) {
-            this.sendLog(`❌ ${projectName} genel hatası: ${error.message}`, 'error');
+            logError(`❌ ${projectName} genel hatası: ${error.message}`);
             updateProgressCallback('Genel hata oluştu', 0);
 
             if (project) {
@@ -973,23 +1680,670 @@ class GitAutoSync {
         }
     }
 
+    // Stage, büyük dosya ve gizli bilgi kontrolü, ardından commit: { blocked, hasChanges, changedFileCount }
+    async commitChanges(git, project, projectPath, repoName, run, updateProgressCallback) {
+        const stageResult = await this.stageChanges(git, repoName, this.getIgnoredPatterns(project));
+
+        if (stageResult.staged.length > 0) {
+            const guard = await this.guardLargeFiles(git, project, projectPath, repoName);
+            if (guard.blocked) {
+                updateProgressCallback('Büyük dosya nedeniyle durduruldu', 0);
+                return { blocked: true, hasChanges: false, changedFileCount: 0 };
+            }
+
+            updateProgressCallback('Gizli bilgi taraması...', 82.0);
+            if (await this.scanSecrets(git, project, projectPath, repoName)) {
+                updateProgressCallback('Gizli bilgi bulundu - onay bekleniyor', 0);
+                return { blocked: true, hasChanges: false, changedFileCount: 0 };
+            }
+        }
+
+        // Mesaj özeti için index'in son hali (izlenmeyen klasörler artık dosya dosya listelenir)
+        const stagedStatus = await git.status();
+        const changedFileCount = stagedStatus.files.filter(file => file.index && file.index !== ' ' && file.index !== '?').length;
+
+        if (changedFileCount > 0) {
+            this.transferStats.totalFiles += changedFileCount;
+            updateProgressCallback(`${changedFileCount} dosya commit ediliyor...`, 85.0);
+            this.sendLog(`📝 ${changedFileCount} dosya değişikliği commit ediliyor: ${repoName}`, 'info');
+            // Yeni başlatılan (veya ilk commit'i daha önce engellenmiş) repoda HEAD henüz yoktur
+            const isInitial = !(await git.raw(['rev-parse', '--verify', '-q', 'HEAD']).catch(() => '')).trim();
+            await git.commit(isInitial ? 'Initial commit - Auto sync setup' : this.renderCommitMessage(project, repoName, stagedStatus));
+            run.filesChanged = changedFileCount;
+            run.commitSha = (await git.revparse(['HEAD'])).trim();
+            updateProgressCallback('Değişiklikler commit edildi', 90.0);
+        } else {
+            updateProgressCallback('Değişiklik bulunamadı', 85.0);
+        }
+
+        return { blocked: false, hasChanges: changedFileCount > 0, changedFileCount };
+    }
+
+    // Ağ yokken değişiklikler yerel olarak commit edilir ve proje push bekler (run.deferred);
+    // repo oluşturma ve remote adresi sağlayıcıya erişim gerektirdiğinden yeni projeler yalnızca bekletilir
+    async commitOffline(projectPath, project, repoName, run, logError, updateProgressCallback) {
+        this.setLogPhase('commit');
+        const git = this.createGit(projectPath);
+
+        let isRepo = false;
+        try {
+            isRepo = await git.checkIsRepo();
+        } catch (error) {
+            isRepo = false;
+        }
+
+        if (!isRepo) {
+            run.deferred = true;
+            this.sendLog(`📴 Ağ bağlantısı yok, repository bağlantı gelince oluşturulacak: ${repoName}`, 'warning', { code: 'NETWORK_OFFLINE' });
+            updateProgressCallback('Ağ bağlantısı bekleniyor', 0);
+            return false;
+        }
+
+        const branchInfo = await this.refreshBranchInfo(project || { path: projectPath }, git);
+        if (!branchInfo.current) {
+            logError(`❌ Detached HEAD durumunda push yapılamaz (${repoName}) - bir dala geçin`);
+            updateProgressCallback('Detached HEAD', 0);
+            return false;
+        }
+
+        try {
+            const commitResult = await this.commitChanges(git, project, projectPath, repoName, run, updateProgressCallback);
+            if (commitResult.blocked) return false;
+
+            run.deferred = true;
+            this.sendLog(commitResult.hasChanges
+                ? `📴 Çevrimdışı: ${commitResult.changedFileCount} dosya yerel olarak commit edildi, push bağlantı gelince yapılacak (${repoName})`
+                : `📴 Çevrimdışı: push bağlantı gelince yapılacak (${repoName})`, 'warning', { code: 'NETWORK_OFFLINE' });
+            updateProgressCallback('Push bekliyor - ağ bağlantısı yok', 0);
+        } catch (error) {
+            logError(`❌ Commit hatası (${repoName}): ${error.message}`);
+            updateProgressCallback('Commit hatası', 0);
+        }
+
+        return false;
+    }
+
+    // Commit öncesi boyut kontrolü; sonuç proje kartında gösterilmek üzere project.largeFiles'a yazılır
+    async guardLargeFiles(git, project, projectPath, repoName) {
+        const guard = new LargeFileGuard(git, projectPath, this.config.largeFiles);
+        const { warnings, oversized } = await guard.check();
+
+        for (const file of warnings) {
+            this.sendLog(`⚠️ Büyük dosya (${repoName}): ${file.path} - ${LargeFileGuard.formatSize(file.size)}`, 'warning');
+        }
+
+        const result = await guard.enforce(oversized);
+        if (project && (oversized.length > 0 || warnings.length > 0)) {
+            project.largeFiles = { ...result, warnings };
+        }
+
+        if (result.blocked) {
+            this.sendLog(`🐘 Commit durduruldu (${repoName}): ${result.reason}`, 'error', { code: 'LARGE_FILE' });
+        } else if (oversized.length > 0 && result.action === 'exclude') {
+            this.sendLog(`🐘 ${oversized.length} büyük dosya commit'e alınmadı (${repoName}): ${oversized.map(file => file.path).join(', ')}`, 'warning');
+        } else if (oversized.length > 0) {
+            this.sendLog(`🐘 ${oversized.length} büyük dosya Git LFS ile izlenmeye alındı (${repoName})`, 'info');
+        }
+
+        return result;
+    }
+
+    recordHistory(projectPath, project, run, success) {
+        let outcome = 'failed';
+        if (success) {
+            outcome = run.filesChanged > 0 || run.bytesPushed > 0 ? 'success' : 'no-changes';
+        } else if (run.deferred) {
+            outcome = 'pending-push';
+        } else if (project?.conflict) {
+            outcome = 'conflict';
+        } else if (project?.secretFindings || project?.largeFiles?.blocked) {
+            outcome = 'blocked';
+        }
+
+        const record = {
+            projectPath,
+            projectName: project?.name || path.basename(projectPath),
+            repoName: project ? this.getRepoName(project) : null,
+            startedAt: run.startedAt,
+            finishedAt: new Date().toISOString(),
+            outcome,
+            commitSha: run.commitSha || null,
+            filesChanged: run.filesChanged || 0,
+            bytesPushed: run.bytesPushed || 0,
+            error: success || run.deferred ? null : (run.error || (project ? this.getFailureMessage(project) : null))
+        };
+
+        this.history.append(record).then(() => {
+            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+                this.mainWindow.webContents.send('history-updated', record);
+            }
+        });
+    }
+
+    // Kuyrukta bekleyen, değişmiş veya senkronizasyonu yarıda kalmış projeler kuyruk olarak saklanır
+    getStateSnapshot() {
+        const pending = ['changed', 'queued', 'syncing', 'pending-push'];
+        const queue = Array.from(this.status.projects.entries())
+            .filter(([projectPath, project]) => this.syncQueue.has(projectPath) || pending.includes(project.status))
+            .map(([projectPath]) => projectPath);
+
+        const projects = {};
+        for (const [projectPath, project] of this.status.projects) {
+            projects[projectPath] = {
+                status: project.status,
+                message: project.message || '',
+                lastCheck: project.lastCheck || null,
+                lastSyncedCommit: project.lastSyncedCommit || null,
+                lastSyncedAt: project.lastSyncedAt || null,
+                lastError: project.lastError || null,
+                retry: project.retry || null,
+                conflict: project.conflict || null
+            };
+        }
+
+        return { queue, projectStates: Object.fromEntries(this.projectStates), projects };
+    }
+
+    saveState() {
+        clearTimeout(this.stateSaveTimer);
+        this.stateSaveTimer = null;
+        if (!this.stateRestored) return;
+
+        this.stateStore.save(this.getStateSnapshot());
+    }
+
+    // Art arda gelen değişiklikler tek yazmada toplanır
+    scheduleStateSave() {
+        if (!this.stateRestored || this.stateSaveTimer) return;
+        this.stateSaveTimer = setTimeout(() => this.saveState(), 2000);
+    }
+
+    // Tarama sonrası önceki oturumdan kalan durumlar mevcut projelere uygulanır
+    async restoreState() {
+        const state = await this.stateStore.load();
+        this.stateRestored = true;
+        if (!state) return;
+
+        let restored = 0;
+        let missing = 0;
+        for (const [projectPath, saved] of Object.entries(state.projects)) {
+            const project = this.status.projects.get(projectPath);
+            if (!project) {
+                missing++;
+                continue;
+            }
+
+            project.lastSyncedCommit = saved.lastSyncedCommit || null;
+            project.lastSyncedAt = saved.lastSyncedAt || null;
+            if (saved.lastError) project.lastError = saved.lastError;
+            if (state.projectStates[projectPath]) {
+                this.projectStates.set(projectPath, { ...state.projectStates[projectPath], ...this.projectStates.get(projectPath) });
+            }
+            restored++;
+
+            if (project.status === 'excluded') continue;
+
+            if (saved.status === 'conflict' && saved.conflict) {
+                project.status = 'conflict';
+                project.conflict = saved.conflict;
+                project.message = saved.message;
+            } else if (saved.status === 'error') {
+                project.status = 'error';
+                project.message = saved.message;
+                project.retry = saved.retry || null;
+                if (project.retry?.nextRetryAt) {
+                    this.startRetryTimer(projectPath, project.retry);
+                }
+            }
+        }
+
+        const queued = state.queue.filter(projectPath => {
+            const project = this.status.projects.get(projectPath);
+            return project && project.status !== 'excluded' && project.status !== 'conflict';
+        });
+        for (const projectPath of queued) {
+            const project = this.status.projects.get(projectPath);
+            this.clearRetryTimer(projectPath);
+            project.status = 'queued';
+            project.message = 'Önceki oturumdan kuyrukta';
+            this.syncQueue.add(projectPath);
+        }
+
+        const savedAt = state.savedAt ? new Date(state.savedAt).toLocaleString('tr-TR') : 'bilinmiyor';
+        this.sendLog(`♻️ Önceki oturum durumu geri yüklendi (${savedAt}): ${restored} proje, ${queued.length} kuyrukta bekleyen proje`, 'info');
+        if (missing > 0) {
+            this.sendLog(`⚠️ Kayıtlı ${missing} proje artık bulunamadı ve atlandı`, 'warning');
+        }
+        this.saveState();
+    }
+
+    // Geçici hatalarda proje artan aralıklarla yeniden kuyruğa alınır; kalıcı hatalar kullanıcıyı bekler
+    scheduleRetry(projectPath, project, run) {
+        const failure = {
+            code: run.errorCode || project.transportError?.code ||
+                (project.secretFindings ? 'SECRET_FOUND' : null) ||
+                (project.largeFiles?.blocked ? 'LARGE_FILE' : null),
+            message: run.error || ''
+        };
+        const retry = new RetryPolicy(this.config.retry).next((project.retry?.failures || 0) + 1, failure);
+        project.retry = retry;
+
+        if (!retry.nextRetryAt) {
+            if (retry.kind === 'permanent') {
+                this.sendLog(`⛔ ${project.name} otomatik olarak yeniden denenmeyecek (kalıcı hata)`, 'warning', { projectPath });
+            } else if (retry.maxAttempts > 0) {
+                this.sendLog(`⛔ ${project.name} ${retry.maxAttempts} yeniden denemeden sonra bırakıldı`, 'warning', { projectPath });
+            }
+            return;
+        }
+
+        this.sendLog(`🔁 ${project.name} ${new Date(retry.nextRetryAt).toLocaleTimeString('tr-TR')} saatinde yeniden denenecek (${retry.failures}/${retry.maxAttempts})`, 'info', { projectPath });
+        this.startRetryTimer(projectPath, retry);
+    }
+
+    startRetryTimer(projectPath, retry) {
+        this.clearRetryTimer(projectPath);
+        this.retryTimers.set(projectPath, setTimeout(() => {
+            this.retryTimers.delete(projectPath);
+
+            // Bu arada başka bir nedenle senkronize edilen veya kaldırılan proje atlanır
+            const current = this.status.projects.get(projectPath);
+            if (!current || current.status !== 'error') return;
+
+            current.status = 'queued';
+            current.message = `Yeniden deneniyor (${retry.failures}/${retry.maxAttempts})`;
+            this.syncQueue.add(projectPath);
+            this.sendStatus();
+            this.processQueue();
+        }, Math.max(0, retry.nextRetryAt - Date.now())));
+    }
+
+    clearRetryTimer(projectPath) {
+        clearTimeout(this.retryTimers.get(projectPath));
+        this.retryTimers.delete(projectPath);
+    }
+
+    // Limit hatasında kuyruğu sıfırlanma zamanına kadar durdurur
+    handleRateLimit(error, run) {
+        if (!(error instanceof GitHubClient.RateLimitError)) return false;
+
+        run.rateLimited = true;
+        this.pauseQueue(error.resetAt);
+        return true;
+    }
+
+    isQueuePaused() {
+        return this.queuePausedUntil > Date.now();
+    }
+
+    pauseQueue(until) {
+        if (until <= this.queuePausedUntil) return;
+
+        this.queuePausedUntil = until;
+        clearTimeout(this.queueResumeTimer);
+        this.queueResumeTimer = setTimeout(() => {
+            this.queueResumeTimer = null;
+            this.queuePausedUntil = 0;
+            this.sendLog('▶️ API limiti sıfırlandı, kuyruk devam ediyor', 'info');
+            this.processQueue();
+        }, Math.max(0, until - Date.now()) + 1000);
+
+        this.sendLog(`⏸️ GitHub API limiti doldu, kuyruk ${new Date(until).toLocaleTimeString('tr-TR')} saatine kadar bekletiliyor`, 'warning', { code: 'RATE_LIMITED' });
+        this.sendStatus();
+    }
+
+    deferProject(projectPath) {
+        this.syncQueue.add(projectPath);
+        const project = this.status.projects.get(projectPath);
+        if (project) {
+            project.status = 'queued';
+            project.progress = 0;
+            project.currentOperation = '';
+            project.message = `API limiti - ${new Date(this.queuePausedUntil).toLocaleTimeString('tr-TR')} sonrası devam edecek`;
+        }
+        this.scheduleStateSave();
+    }
+
+    // Kartta gösterilecek hata nedeni
+    getFailureMessage(project) {
+        if (project.transportError) return project.transportError.message;
+        if (project.secretFindings?.length > 0) return `Gizli bilgi bulundu (${project.secretFindings.length})`;
+        if (project.largeFiles?.blocked) return 'Büyük dosya nedeniyle durduruldu';
+        return 'Senkronizasyon hatası';
+    }
+
+    // Bulgu varsa project.secretFindings'e yazar ve true döndürür; izin verilen parmak izleri atlanır
+    async scanSecrets(git, project, projectPath, repoName) {
+        const scanner = new SecretScanner(git, this.getProjectSettings(projectPath).secretAllowlist || []);
+        const findings = await scanner.scan();
+        if (findings.length === 0) return false;
+
+        if (project) {
+            project.secretFindings = findings;
+        }
+        for (const finding of findings.slice(0, 10)) {
+            this.sendLog(`🔐 ${finding.label} (${repoName}): ${finding.file}:${finding.line} ${finding.preview}`, 'error', { code: 'SECRET_FOUND' });
+        }
+        this.sendLog(`🛑 ${findings.length} olası gizli bilgi nedeniyle senkronizasyon durduruldu: ${repoName}`, 'error', { code: 'SECRET_FOUND' });
+        return true;
+    }
+
+    // Bulgu izin listesine alınır; bekleyen bulgu kalmazsa senkronizasyon sürdürülür
+    async allowSecret(projectPath, fingerprint) {
+        const project = this.status.projects.get(projectPath);
+        const finding = project?.secretFindings?.find(item => item.fingerprint === fingerprint);
+        if (!finding) {
+            return { success: false, message: 'Bulgu bulunamadı' };
+        }
+
+        const allowlist = new Set(this.getProjectSettings(projectPath).secretAllowlist || []);
+        allowlist.add(fingerprint);
+        if (!(await this.setProjectSettings(projectPath, { secretAllowlist: [...allowlist] }))) {
+            return { success: false, message: 'Ayarlar kaydedilemedi' };
+        }
+
+        project.secretFindings = project.secretFindings.filter(item => item.fingerprint !== fingerprint);
+        this.sendLog(`✅ İzin verildi: ${finding.label} - ${finding.file}:${finding.line} (${this.getRepoName(project)})`, 'info', { projectPath });
+
+        if (project.secretFindings.length === 0) {
+            delete project.secretFindings;
+            project.status = 'queued';
+            project.message = 'Senkronizasyon sürdürülüyor';
+            this.syncQueue.add(projectPath);
+            this.processQueue();
+        }
+
+        this.sendStatus();
+        return { success: true };
+    }
+
+    // Origin'in sonucundan bağımsız olarak klasördeki her yansıya sırayla gönderir
+    async pushMirrors(project, projectPath, repoName, localBranch, targetBranch, updateProgressCallback) {
+        const mirrors = this.getWatchFolder(project)?.mirrors || [];
+        this.setLogPhase('mirror');
+        const previous = new Map((project?.remotes || []).map(remote => [remote.name, remote]));
+        const repoOptions = this.getRepoOptions(project);
+        const results = [];
+
+        await this.pruneMirrorRemotes(projectPath, mirrors);
+
+        for (const [index, mirror] of mirrors.entries()) {
+            const remoteName = `mirror-${mirror.name}`;
+            const result = {
+                name: remoteName,
+                label: mirror.name,
+                url: null,
+                status: 'ok',
+                message: 'Gönderildi',
+                lastPushAt: previous.get(remoteName)?.lastPushAt || null
+            };
+            updateProgressCallback(`Yansıya gönderiliyor: ${mirror.name} (${index + 1}/${mirrors.length})`, 96.0 + (index / mirrors.length) * 3);
+
+            try {
+                const provider = this.getProviderForTarget(mirror);
+                if (provider.requiresNetwork && !this.networkStatus.isOnline) {
+                    throw new Error('Ağ bağlantısı yok');
+                }
+
+                const owner = mirror.ownerType === 'org' && mirror.owner ? mirror.owner : await provider.getUsername();
+                if (!(await provider.exists(owner, repoName))) {
+                    await provider.create(owner, mirror.ownerType, repoName, repoOptions);
+                    this.sendLog(`📦 Yansı repository oluşturuldu: ${mirror.name} (${owner}/${repoName})`, 'info');
+                }
+
+                result.url = GitAuth.stripCredentials(this.getRemoteUrl(mirror, provider, owner, repoName));
+                const git = this.createGit(projectPath, mirror);
+                const remotes = await git.getRemotes();
+                if (remotes.some(remote => remote.name === remoteName)) {
+                    await git.remote(['set-url', remoteName, result.url]);
+                } else {
+                    await git.addRemote(remoteName, result.url);
+                    // Uygulamanın eklediği remote işaretlenir; kullanıcının kendi remote'ları hiç silinmez
+                    await git.addConfig(`remote.${remoteName}.gitautosync`, 'true');
+                }
+
+                await git.push([remoteName, `${localBranch}:${targetBranch}`]);
+                result.lastPushAt = new Date().toISOString();
+            } catch (error) {
+                const transportError = GitAuth.classifyError(error, result.url);
+                result.status = 'error';
+                result.message = transportError
+                    ? `${transportError.message} - ${transportError.hint}`
+                    : this.isPushRejection(error)
+                        ? 'Push reddedildi - yansıdaki dal ilerlemiş'
+                        : error.message;
+                this.sendLog(`⚠️ Yansı hatası (${repoName} → ${mirror.name}): ${result.message}`, 'warning', { code: transportError?.code || 'MIRROR_FAILED' });
+            }
+
+            results.push(result);
+        }
+
+        return results;
+    }
+
+    // Config'den kaldırılan yansıların remote'ları repodan silinir; yalnızca uygulamanın
+    // eklediği (remote.<ad>.gitautosync = true) remote'lar dikkate alınır
+    async pruneMirrorRemotes(projectPath, mirrors) {
+        try {
+            const git = simpleGit(projectPath);
+            const wanted = new Set(mirrors.map(mirror => `mirror-${mirror.name}`));
+            const output = await git.raw(['config', '--get-regexp', '^remote\\..*\\.gitautosync$']).catch(() => '');
+            const managed = output.split('\n')
+                .map(line => /^remote\.(.+)\.gitautosync\s+true$/i.exec(line.trim()))
+                .filter(Boolean)
+                .map(match => match[1]);
+
+            for (const remoteName of managed) {
+                if (!wanted.has(remoteName)) {
+                    await git.removeRemote(remoteName);
+                }
+            }
+        } catch (error) {
+            this.sendLog(`⚠️ Eski yansı remote'ları temizlenemedi: ${error.message}`, 'warning');
+        }
+    }
+
+    getProjectSettings(projectPath) {
+        return this.config?.projectSettings?.[projectPath] || {};
+    }
+
+    async setProjectSettings(projectPath, settings = {}) {
+        const projectSettings = { ...(this.config.projectSettings || {}) };
+        const merged = { ...(projectSettings[projectPath] || {}), ...settings };
+
+        // Boş değerler varsayılana dönüş anlamına gelir
+        Object.keys(merged).forEach(key => {
+            if (merged[key] === '' || merged[key] === null || merged[key] === undefined) delete merged[key];
+        });
+
+        if (Object.keys(merged).length > 0) {
+            projectSettings[projectPath] = merged;
+        } else {
+            delete projectSettings[projectPath];
+        }
+
+        const success = await this.saveConfig({ ...this.config, projectSettings });
+        if (success) {
+            const project = this.status.projects.get(projectPath);
+            if (project?.hasGitRepo) {
+                await this.refreshBranchInfo(project);
+            }
+            this.sendStatus();
+        }
+        return success;
+    }
+
+    // Mevcut dal, upstream ve push edilecek hedef dalı tespit eder
+    async detectBranch(git) {
+        let current = null;
+        let upstream = null;
+
+        try {
+            // symbolic-ref, henüz commit olmayan dalda da çalışır; detached HEAD'de hata verir
+            current = (await git.raw(['symbolic-ref', '--short', '-q', 'HEAD'])).trim() || null;
+        } catch (error) {
+            current = null;
+        }
+
+        try {
+            upstream = (await git.raw(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'])).trim() || null;
+        } catch (error) {
+            upstream = null;
+        }
+
+        return { current, upstream };
+    }
+
+    async refreshBranchInfo(project, git = null) {
+        if (!project) return { current: null, upstream: null, targetBranch: null };
+
+        const { current, upstream } = await this.detectBranch(git || simpleGit(project.path));
+        const configuredTarget = this.getProjectSettings(project.path).targetBranch || project.overrides?.branch;
+        const upstreamBranch = upstream && upstream.startsWith('origin/') ? upstream.slice('origin/'.length) : null;
+        const targetBranch = configuredTarget || upstreamBranch || current;
+
+        project.branch = current;
+        project.upstream = upstream;
+        project.targetBranch = targetBranch;
+
+        return { current, upstream, targetBranch };
+    }
+
+    markConflict(project, { reason, branch, files }) {
+        if (!project) return;
+        project.conflict = {
+            reason,
+            branch,
+            strategy: this.config.pullStrategy || 'rebase',
+            files,
+            detectedAt: new Date().toISOString()
+        };
+    }
+
+    isPushRejection(error) {
+        return /\[rejected\]|non-fast-forward|fetch first|failed to push some refs/i.test(error.message || '');
+    }
+
+    getConflictDetails(projectPath) {
+        const project = this.status.projects.get(projectPath);
+        if (!project?.conflict) return null;
+
+        return {
+            projectPath,
+            name: project.name,
+            ...project.conflict
+        };
+    }
+
+    // Çakışma panelinden gelen dosya bazlı seçimleri uygular ve senkronizasyonu tamamlar
+    async resolveConflict(projectPath, resolutions = {}) {
+        const project = this.status.projects.get(projectPath);
+        if (!project?.conflict) {
+            return { success: false, message: 'Bu projede bekleyen çakışma yok' };
+        }
+
+        if (this.status.isSyncing) {
+            return { success: false, message: 'Senkronizasyon devam ediyor, biraz sonra tekrar deneyin' };
+        }
+
+        const repoName = this.getRepoName(project);
+        const { reason, branch } = project.conflict;
+
+        if (reason === 'conflict') {
+            project.status = 'syncing';
+            project.currentOperation = 'Çakışmalar çözülüyor...';
+            this.sendStatus();
+
+            try {
+                const integrator = new RemoteIntegrator(this.createGit(projectPath), { strategy: this.config.pullStrategy });
+                await integrator.resolve(branch, resolutions);
+                this.sendLog(`🧩 Çakışmalar çözüldü: ${repoName}`, 'success', { projectPath, phase: 'integrate' });
+            } catch (error) {
+                project.status = 'conflict';
+                project.currentOperation = '';
+                if (error.files?.length > 0) {
+                    project.conflict.files = error.files;
+                }
+                this.sendLog(`❌ Çakışma çözülemedi (${repoName}): ${error.message}`, 'error', { projectPath, phase: 'integrate', code: 'MERGE_CONFLICT' });
+                this.sendStatus();
+                return { success: false, message: error.message };
+            }
+        }
+
+        delete project.conflict;
+        project.status = 'queued';
+        project.message = 'Senkronizasyon sürdürülüyor';
+        this.syncQueue.add(projectPath);
+        this.processQueue();
+
+        return { success: true };
+    }
+
+    // Değişiklikleri ignoredPatterns süzgecinden geçirerek stage eder
+    async stageChanges(git, repoName, ignoredPatterns = this.getIgnoredPatterns()) {
+        const stager = new ChangeStager(git, ignoredPatterns);
+        const result = await stager.stage();
+
+        if (result.excluded.length > 0) {
+            const preview = result.excluded.slice(0, 5).join(', ');
+            const rest = result.excluded.length > 5 ? ` ve ${result.excluded.length - 5} dosya daha` : '';
+            this.sendLog(`🚫 ${result.excluded.length} dosya ihmal desenleri nedeniyle hariç tutuldu (${repoName}): ${preview}${rest}`, 'warning');
+        }
+
+        return result;
+    }
+
     getDetailedStatus() {
+        // İzlenen klasörler ve sağlayıcılar her proje için yeniden çözülmesin diye bir kez hesaplanır
+        const providerByWatchPath = new Map(this.getWatchFolders().map(folder => [folder.path, this.getProviderForTarget(folder)]));
+        const defaultProvider = this.getProviderForTarget(null);
+
         return {
             ...this.status,
             stats: this.stats,
             config: this.config ? { username: this.config.username } : null,
-            projects: Array.from(this.status.projects.entries()).map(([path, project]) => ({
-                name: project.name,
-                path: path,
-                status: project.status,
-                message: project.message || '',
-                lastCheck: project.lastCheck,
-                lastModified: project.lastModified,
-                hasGitRepo: project.hasGitRepo || false,
-                progress: project.progress || 0,
-                currentOperation: project.currentOperation || '',
-                error: project.error || null
-            })),
+            projects: Array.from(this.status.projects.entries()).map(([path, project]) => {
+                const provider = providerByWatchPath.get(project.watchPath) || defaultProvider;
+                const owner = project.owner || this.config?.username || null;
+                const repoName = this.getRepoName(project);
+
+                return {
+                    name: project.name,
+                    path: path,
+                    status: project.status,
+                    message: project.message || '',
+                    lastCheck: project.lastCheck,
+                    lastModified: project.lastModified,
+                    hasGitRepo: project.hasGitRepo || false,
+                    progress: project.progress || 0,
+                    currentOperation: project.currentOperation || '',
+                    error: project.error || null,
+                    conflict: project.conflict || null,
+                    retry: project.retry || null,
+                    lastSyncedCommit: project.lastSyncedCommit || null,
+                    lastSyncedAt: project.lastSyncedAt || null,
+                    lastError: project.lastError || null,
+                    branch: project.branch || null,
+                    upstream: project.upstream || null,
+                    targetBranch: project.targetBranch || null,
+                    customTargetBranch: this.getProjectSettings(path).targetBranch || null,
+                    owner,
+                    ownerType: project.ownerType || 'user',
+                    repoName,
+                    provider: provider.id,
+                    transportError: project.transportError || null,
+                    largeFiles: project.largeFiles || null,
+                    secretFindings: project.secretFindings || [],
+                    remotes: project.remotes || [],
+                    webUrl: provider.webUrl(owner, repoName),
+                    overrides: project.hasOverridesFile ? project.overrides : null,
+                    overrideErrors: project.overrideErrors || [],
+                    overrideWarnings: project.overrideWarnings || []
+                };
+            }),
+            credentialBackend: this.credentials.backend,
+            rateLimits: GitHubClient.all().map(client => client.snapshot()).filter(snapshot => snapshot.limit),
+            queuePausedUntil: this.isQueuePaused() ? this.queuePausedUntil : null,
             memoryUsage: process.memoryUsage(),
             uptime: process.uptime()
         };
@@ -998,6 +2352,10 @@ class GitAutoSync {
     debouncedQueueAdd(projectPath) {
         const projectName = path.basename(projectPath);
 
+        // Çakışmadaki projeler panelden çözülene kadar, hariç tutulanlar hiç kuyruğa alınmaz
+        const queuedProject = this.status.projects.get(projectPath);
+        if (queuedProject?.status === 'conflict' || queuedProject?.status === 'excluded') return;
+
         if (this.debounceTimers.has(projectPath)) {
             clearTimeout(this.debounceTimers.get(projectPath));
         }
@@ -1013,6 +2371,7 @@ class GitAutoSync {
 
             this.sendLog(`📝 Değişiklik algılandı: ${projectName}`, 'warning');
             this.sendStatus();
+            this.scheduleStateSave();
         }, 3000);
 
         this.debounceTimers.set(projectPath, timer);
@@ -1027,6 +2386,7 @@ class GitAutoSync {
 
         try {
             const projectCount = await this.scanProjects();
+            await this.restoreState();
             if (projectCount > 0) {
                 await this.startFolderMonitoring();
                 this.startSyncProcessor();
@@ -1056,10 +2416,7 @@ class GitAutoSync {
     stopAutoSync() {
         this.isRunning = false;
 
-        if (this.syncInterval) {
-            clearInterval(this.syncInterval);
-            this.syncInterval = null;
-        }
+        this.projectWatcher.closeAll();
 
         // YENİ: Proje tarama intervalini durdur
         if (this.projectScanInterval) {
@@ -1075,6 +2432,17 @@ class GitAutoSync {
         this.debounceTimers.forEach(timer => clearTimeout(timer));
         this.debounceTimers.clear();
 
+        clearTimeout(this.queueResumeTimer);
+        this.queueResumeTimer = null;
+        this.queuePausedUntil = 0;
+
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+
+        // Bellek temizlenmeden önce kuyruk ve proje durumları diske yazılır
+        this.saveState();
+        this.stateRestored = false;
+
         this.syncQueue.clear();
         this.projectStates.clear();
         this.status.projects.clear();
@@ -1111,7 +2479,11 @@ class GitAutoSync {
 
         this.sendLog('🔄 Manuel senkronizasyon başlatıldı...', 'info');
 
-        for (const projectPath of this.status.projects.keys()) {
+        for (const [projectPath, project] of this.status.projects) {
+            if (project.status === 'excluded') continue;
+            // Manuel senkronizasyon deneme sayacını sıfırlar
+            this.clearRetryTimer(projectPath);
+            delete project.retry;
             this.syncQueue.add(projectPath);
         }
 
@@ -1140,6 +2512,16 @@ class GitAutoSync {
         }
     }
 
+    // Genel şablon, .gitautosync.json'daki commitMessage ve commitBody ile ezilebilir
+    renderCommitMessage(project, repoName, status) {
+        const overrides = project?.overrides || {};
+        const settings = CommitMessage.resolve(this.config?.commitMessage, {
+            template: overrides.commitMessage,
+            includeBody: overrides.commitBody
+        });
+        return CommitMessage.render(settings, { project: project?.name || repoName, status });
+    }
+
     sanitizeRepoName(name) {
         return name
             .toLowerCase()
@@ -1149,97 +2531,97 @@ class GitAutoSync {
             .substring(0, 100);
     }
 
-    async initGitRepo(git, repoName, projectPath) {
+    async initGitRepo(git, repoName, projectPath, branch = 'main', remoteUrl, provider = this.getProvider(null)) {
         try {
             await git.init();
+            // İlk commit'ten önce başlangıç dalını ayarla (git init --initial-branch eski sürümlerde yok)
+            await git.raw(['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
             await git.addConfig('user.name', this.config.username);
-            await git.addConfig('user.email', `${this.config.username}@users.noreply.github.com`);
+            await git.addConfig('user.email', provider.noreplyEmail(this.config.username));
 
-            const gitignoreContent = this.config.ignoredPatterns.join('\n');
+            const ignoredPatterns = this.getIgnoredPatterns(this.status.projects.get(projectPath));
+            const gitignoreContent = ignoredPatterns.join('\n');
             const gitignorePath = path.join(projectPath, '.gitignore');
             await fs.writeFile(gitignorePath, gitignoreContent);
 
-            await git.add('.');
-            await git.commit('Initial commit - Auto sync setup');
-            await git.branch(['-M', 'main']);
-
-            const encodedRepoName = encodeURIComponent(repoName);
-            await git.addRemote('origin', `https://${this.config.token}@github.com/${this.config.username}/${encodedRepoName}.git`);
+            // İlk commit burada atılmaz; commitChanges ile büyük dosya ve gizli bilgi kontrolünden geçer
+            await git.addRemote('origin', remoteUrl);
 
         } catch (error) {
             throw new Error(`Git repo başlatma hatası: ${error.message}`);
         }
     }
 
-    async checkGitHubRepo(repoName) {
+    // Sonradan elle değiştirilmiş repo ayarlarını yapılandırmaya geri çeker
+    async reconcileRepo(provider, owner, repo, options) {
         try {
-            const encodedRepoName = encodeURIComponent(repoName);
-            const response = await axios.get(`https://api.github.com/repos/${this.config.username}/${encodedRepoName}`, {
-                headers: {
-                    'Authorization': `token ${this.config.token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'User-Agent': 'GitAutoSync/2.0'
-                },
-                timeout: 10000
-            });
-
-            return response.status === 200;
-        } catch (error) {
-            if (error.response?.status === 404) {
-                return false;
+            const changed = await provider.reconcile(owner, repo, options);
+            if (changed.length > 0) {
+                this.sendLog(`🔧 Repo ayarları eşitlendi (${owner}/${repo.path || repo.name}): ${changed.join(', ')}`, 'info');
             }
-            throw new Error(`GitHub API hatası: ${error.message}`);
+            return changed.length > 0;
+        } catch (error) {
+            // Eşitleme hatası senkronizasyonu durdurmaz (ör. token'ın admin yetkisi yok)
+            this.sendLog(`⚠️ Repo ayarları eşitlenemedi (${owner}/${repo.path || repo.name}): ${error.response?.data?.message || error.message}`, 'warning');
+            return false;
         }
     }
 
-    async createGitHubRepo(repoName) {
-        try {
-            const response = await axios.post('https://api.github.com/user/repos', {
-                name: repoName,
-                private: true,
-                description: `Auto-synced project - ${new Date().toLocaleDateString('tr-TR')}`,
-                auto_init: false,
-                has_issues: false,
-                has_projects: false,
-                has_wiki: false
-            }, {
-                headers: {
-                    'Authorization': `token ${this.config.token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'GitAutoSync/2.0'
-                },
-                timeout: 15000
-            });
-
-            return response.status === 201;
+    setLogPhase(phase) {
+        const active = this.logContext.getStore();
+        if (active) active.phase = phase;
+    }
 
-        } catch (error) {
-            if (error.response?.status === 422) {
-                return true;
+    // Kayıtlı log dosyalarından süzülen aralık JSONL olarak dışa aktarılır
+    async exportLogs(filters = {}) {
+        try {
+            const records = await this.logStore.query(filters);
+            if (records.length === 0) {
+                return { success: false, message: 'Seçilen aralıkta log kaydı yok' };
             }
-
-            if (error.response?.status === 401) {
-                throw new Error('GitHub token geçersiz. Token\'ın "repo" yetkisine sahip olduğundan emin olun.');
+            if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+                return { success: false, message: 'Pencere bulunamadı' };
             }
 
-            if (error.response?.status === 403) {
-                throw new Error('GitHub API rate limit aşıldı.');
+            const result = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Logları Dışa Aktar',
+                defaultPath: path.join(os.homedir(), `gitautosync-logs-${new Date().toISOString().slice(0, 10)}.jsonl`),
+                filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
             }
 
-            throw new Error(`Repository oluşturma hatası: ${error.response?.data?.message || error.message}`);
+            await fs.writeFile(result.filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            return { success: true, count: records.length, filePath: result.filePath };
+        } catch (error) {
+            return { success: false, message: error.message };
         }
     }
 
-    sendLog(message, type = 'info') {
+    // context: { projectPath, phase, code } - verilmeyen alanlar aktif senkronizasyondan alınır
+    sendLog(message, type = 'info', context = {}) {
+        const active = this.logContext.getStore() || {};
         const logData = {
             message,
             type,
-            timestamp: new Date()
+            timestamp: new Date(),
+            projectPath: context.projectPath || active.projectPath || null,
+            phase: context.phase || active.phase || null,
+            code: context.code || null
         };
 
         console.log(`[${type.toUpperCase()}] ${message}`);
 
+        this.logStore.write({
+            time: logData.timestamp.toISOString(),
+            level: type,
+            message,
+            projectPath: logData.projectPath,
+            phase: logData.phase,
+            code: logData.code
+        });
+
         if (this.mainWindow && !this.mainWindow.isDestroyed()) {
             try {
                 this.mainWindow.webContents.send('log', logData);
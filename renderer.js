@@ -1,4 +1,5 @@
 const { ipcRenderer, shell } = require('electron');
+const path = require('path');
 
 class GitAutoSyncRenderer {
     constructor() {
@@ -24,12 +25,23 @@ class GitAutoSyncRenderer {
 
         this.elements = this.initializeElements();
         this.folders = [];
+        this.sshKeys = {};
+        this.expandedFolders = new Set();
+        this.activeView = 'projects';
+        this.logProjectsKey = null;
         this.ignoredPatterns = [...this.defaultIgnoredPatterns];
 
         // Optimized log handling
         this.logBuffer = [];
         this.maxLogs = 500;
 
+        // Çakışma paneli durumu
+        this.activeConflict = null;
+        this.conflictResolutions = {};
+
+        // Proje ayarları paneli
+        this.activeProjectPath = null;
+
         this.init();
     }
 
@@ -46,10 +58,23 @@ class GitAutoSyncRenderer {
             'github-user-display', 'github-username', 'current-path',
             'current-path-text', 'transfer-stats-panel', 'transfer-total-files',
             'transfer-uploaded-files', 'transfer-current-file', 'transfer-speed',
-            'username', 'token', 'folder-list', 'system-tray',
+            'transfer-rate-limit',
+            'username', 'token', 'credential-backend-note', 'folder-list', 'system-tray', 'pull-strategy',
             'add-folder-btn', 'token-help', 'cancel-setup', 'save-setup',
             'ignored-patterns-list', 'new-pattern', 'add-pattern-btn',
-            'reset-patterns-btn'
+            'reset-patterns-btn', 'conflict-modal', 'conflict-project-name',
+            'conflict-summary', 'conflict-files', 'conflict-open-folder',
+            'conflict-cancel', 'conflict-resume', 'project-modal', 'project-modal-name',
+            'project-modal-path', 'project-modal-branch', 'project-target-branch',
+            'project-modal-cancel', 'project-modal-save', 'scrub-tokens-btn',
+            'project-modal-overrides', 'repo-visibility', 'repo-homepage', 'repo-description',
+            'repo-topics', 'repo-has-issues', 'repo-has-projects', 'repo-has-wiki',
+            'reconcile-repo-settings', 'github-url', 'github-api-url', 'commit-template',
+            'commit-locale', 'commit-max-paths', 'commit-include-body', 'large-warn-mb',
+            'large-limit-mb', 'large-action', 'history-view', 'history-project', 'history-outcome',
+            'history-total', 'history-refresh', 'history-clear', 'history-list', 'log-level-filter',
+            'log-project-filter', 'log-search', 'log-export-from', 'log-export-to', 'log-export-btn',
+            'sync-concurrency', 'retry-max-attempts', 'retry-base-delay', 'retry-max-delay'
         ];
 
         elementIds.forEach(id => {
@@ -100,10 +125,13 @@ class GitAutoSyncRenderer {
 
         // Setup modal
         this.elements['add-folder-btn'].addEventListener('click', () => this.addFolder());
+        // Klasörlerdeki varsayılan adres ve token gereksinimi genel GitHub adresine bağlı
+        this.elements['github-url'].addEventListener('change', () => this.updateFolderList());
         this.elements['token-help'].addEventListener('click', (e) => {
             e.preventDefault();
-            shell.openExternal('https://github.com/settings/tokens/new?description=GitAutoSync&scopes=repo');
+            shell.openExternal(`${this.getGitHubUrl(this.elements['github-url'].value)}/settings/tokens/new?description=GitAutoSync&scopes=repo`);
         });
+        this.elements['scrub-tokens-btn'].addEventListener('click', () => this.scrubRemoteTokens());
         this.elements['cancel-setup'].addEventListener('click', () => this.hideSetupModal());
         this.elements['save-setup'].addEventListener('click', () => this.saveConfig());
 
@@ -112,6 +140,21 @@ class GitAutoSyncRenderer {
             tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
         });
 
+        // Ana görünüm: proje durumları / senkronizasyon geçmişi
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchView(tab.dataset.view));
+        });
+        this.elements['history-project'].addEventListener('change', () => this.loadHistory());
+        this.elements['history-outcome'].addEventListener('change', () => this.loadHistory());
+        this.elements['history-refresh'].addEventListener('click', () => this.loadHistory());
+        this.elements['history-clear'].addEventListener('click', () => this.clearHistory());
+
+        // Log süzgeçleri ve dışa aktarma
+        this.elements['log-level-filter'].addEventListener('change', () => this.applyLogFilters());
+        this.elements['log-project-filter'].addEventListener('change', () => this.applyLogFilters());
+        this.elements['log-search'].addEventListener('input', () => this.applyLogFilters());
+        this.elements['log-export-btn'].addEventListener('click', () => this.exportLogs());
+
         // Ignored patterns
         this.elements['add-pattern-btn'].addEventListener('click', () => this.addIgnoredPattern());
         this.elements['new-pattern'].addEventListener('keypress', (e) => {
@@ -119,6 +162,17 @@ class GitAutoSyncRenderer {
         });
         this.elements['reset-patterns-btn'].addEventListener('click', () => this.resetIgnoredPatterns());
 
+        // Conflict modal
+        this.elements['conflict-cancel'].addEventListener('click', () => this.hideConflictModal());
+        this.elements['conflict-resume'].addEventListener('click', () => this.resumeConflict());
+        this.elements['conflict-open-folder'].addEventListener('click', () => {
+            if (this.activeConflict) this.openProjectFolder(this.activeConflict.projectPath);
+        });
+
+        // Project settings modal
+        this.elements['project-modal-cancel'].addEventListener('click', () => this.hideProjectSettings());
+        this.elements['project-modal-save'].addEventListener('click', () => this.saveProjectSettings());
+
         // Modal outside click
         this.elements['setup-modal'].addEventListener('click', (e) => {
             if (e.target === this.elements['setup-modal']) {
@@ -147,16 +201,121 @@ class GitAutoSyncRenderer {
         document.getElementById(`${tabName}-tab`).classList.add('active');
     }
 
+    switchView(view) {
+        this.activeView = view;
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        this.elements['projects-list'].classList.toggle('hidden', view !== 'projects');
+        this.elements['history-view'].classList.toggle('hidden', view !== 'history');
+
+        if (view === 'history') {
+            this.loadHistory();
+        }
+    }
+
+    async loadHistory() {
+        try {
+            const result = await ipcRenderer.invoke('get-history', {
+                projectPath: this.elements['history-project'].value || null,
+                outcome: this.elements['history-outcome'].value || null,
+                limit: 200
+            });
+            this.renderHistory(result);
+        } catch (error) {
+            console.error('Geçmiş yükleme hatası:', error);
+        }
+    }
+
+    renderHistory({ records, total, projects }) {
+        // Proje filtresi geçmişte adı geçen tüm projelerden doldurulur, seçim korunur
+        const select = this.elements['history-project'];
+        const selected = select.value;
+        select.innerHTML = '<option value="">Tüm projeler</option>' + projects
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(project => `<option value="${this.escapeHtml(project.path)}" ${project.path === selected ? 'selected' : ''}>${this.escapeHtml(project.name)}</option>`)
+            .join('');
+
+        this.elements['history-total'].textContent = records.length < total
+            ? `${records.length} / ${total} kayıt`
+            : `${total} kayıt`;
+
+        if (records.length === 0) {
+            this.elements['history-list'].innerHTML = `
+                <div style="padding: 2rem; text-align: center; color: #7f8c8d;">
+                    Kayıt bulunamadı
+                </div>`;
+            return;
+        }
+
+        this.elements['history-list'].innerHTML = records.map(record => {
+            const duration = Math.max(0, Math.round((new Date(record.finishedAt) - new Date(record.startedAt)) / 1000));
+            return `
+                <div class="history-item">
+                    <div title="${new Date(record.startedAt).toLocaleString('tr-TR')}">${new Date(record.finishedAt).toLocaleString('tr-TR')}</div>
+                    <div title="${this.escapeHtml(record.projectPath)}"><strong>${this.escapeHtml(record.projectName)}</strong>
+                        ${record.commitSha ? `<small style="color: #7f8c8d;">${record.commitSha.slice(0, 7)}</small>` : ''}
+                    </div>
+                    <div class="history-outcome outcome-${record.outcome}">${this.getOutcomeText(record.outcome)}</div>
+                    <div>${duration}s</div>
+                    <div>${record.filesChanged} dosya</div>
+                    <div>${this.formatBytes(record.bytesPushed)}</div>
+                    ${record.error ? `<div class="history-error">${this.escapeHtml(record.error)}</div>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    async clearHistory() {
+        if (!confirm('Tüm senkronizasyon geçmişi silinsin mi?')) return;
+        try {
+            await ipcRenderer.invoke('clear-history');
+            await this.loadHistory();
+        } catch (error) {
+            this.showError('Geçmiş temizlenemedi: ' + error.message);
+        }
+    }
+
+    getOutcomeText(outcome) {
+        const texts = {
+            'success': 'Başarılı',
+            'no-changes': 'Değişiklik yok',
+            'pending-push': 'Push bekliyor',
+            'failed': 'Başarısız',
+            'conflict': 'Çakışma',
+            'blocked': 'Engellendi'
+        };
+        return texts[outcome] || outcome;
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '-';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
     setupIPC() {
         // Log handling
         ipcRenderer.on('log', (event, data) => {
             this.logBuffer.push({
                 message: data.message,
                 type: data.type,
-                timestamp: data.timestamp
+                timestamp: data.timestamp,
+                projectPath: data.projectPath,
+                phase: data.phase,
+                code: data.code
             });
         });
 
+        ipcRenderer.on('history-updated', () => {
+            if (this.activeView === 'history') this.loadHistory();
+        });
+
         // Optimized status updates
         ipcRenderer.on('status-update', (event, status) => {
             const now = Date.now();
@@ -286,6 +445,33 @@ class GitAutoSyncRenderer {
             const speed = stats.uploadSpeed || 0;
             this.elements['transfer-speed'].textContent = `${speed.toFixed(1)} proje/s`;
         }
+
+        this.updateRateLimit(status);
+    }
+
+    // En az kalan hakka sahip GitHub istemcisinin kotası; limit dolduysa devam saati
+    updateRateLimit(status) {
+        const element = this.elements['transfer-rate-limit'];
+        if (!element) return;
+
+        const formatTime = (time) => new Date(time).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+        const limits = status.rateLimits || [];
+
+        if (status.queuePausedUntil) {
+            element.textContent = `⏸ ${formatTime(status.queuePausedUntil)}`;
+            element.title = 'API limiti doldu, kuyruk bu saate kadar bekletiliyor';
+            return;
+        }
+
+        if (limits.length === 0) {
+            element.textContent = '-';
+            element.title = '';
+            return;
+        }
+
+        const lowest = limits.reduce((min, limit) => limit.remaining < min.remaining ? limit : min);
+        element.textContent = `${lowest.remaining}/${lowest.limit}`;
+        element.title = `Sıfırlanma: ${formatTime(lowest.resetAt)}`;
     }
 
     updateMainStatus(status) {
@@ -385,6 +571,7 @@ class GitAutoSyncRenderer {
         if (!this.elements['projects-list'] || !status.projects) return;
 
         const projects = status.projects;
+        this.updateLogProjectFilter(projects);
 
         // Update count badge
         if (this.elements['projects-count-badge']) {
@@ -408,7 +595,10 @@ class GitAutoSyncRenderer {
                 'syncing': 'fas fa-sync fa-spin',
                 'synced': 'fas fa-check-double',
                 'error': 'fas fa-times-circle',
-                'needs-repo': 'fas fa-plus-circle'
+                'needs-repo': 'fas fa-plus-circle',
+                'conflict': 'fas fa-code-merge',
+                'pending-push': 'fas fa-cloud-upload-alt',
+                'excluded': 'fas fa-ban'
             };
 
             const statusColors = {
@@ -418,7 +608,10 @@ class GitAutoSyncRenderer {
                 'syncing': '#e67e22',
                 'synced': '#27ae60',
                 'error': '#e74c3c',
-                'needs-repo': '#9b59b6'
+                'needs-repo': '#9b59b6',
+                'conflict': '#d35400',
+                'pending-push': '#16a085',
+                'excluded': '#95a5a6'
             };
 
             const icon = statusIcons[project.status] || 'fas fa-folder';
@@ -443,6 +636,30 @@ class GitAutoSyncRenderer {
                 `;
             }
 
+            const conflictButton = project.status === 'conflict' ? `
+                        <button onclick="renderer.openConflictPanel('${project.path.replaceAll('\\', '\\\\')}')"
+                                style="background: #d35400; color: white;" title="Çakışmayı Çöz">
+                            <i class="fas fa-code-merge"></i>
+                        </button>` : '';
+
+            const branchHtml = project.branch ? `
+                        <div class="project-branch" title="${project.upstream ? `Upstream: ${this.escapeHtml(project.upstream)}` : 'Upstream yok'}">
+                            <i class="fas fa-code-branch"></i> ${this.escapeHtml(project.branch)}${project.targetBranch && project.targetBranch !== project.branch ? ` → ${this.escapeHtml(project.targetBranch)}` : ''}${project.customTargetBranch ? ' (özel)' : ''}
+                        </div>` : '';
+
+            const overrideErrors = project.overrideErrors || [];
+            const overridesHtml = project.overrides || overrideErrors.length > 0 ? `
+                        <div class="project-overrides${overrideErrors.length > 0 ? ' has-errors' : ''}" title="${this.escapeHtml(overrideErrors.join('\n'))}">
+                            <i class="fas fa-file-code"></i> .gitautosync.json${overrideErrors.length > 0 ? ` (${overrideErrors.length} hata)` : ''}
+                        </div>` : '';
+
+            // Yansı tanımlıysa her remote'un son push durumu
+            const remotes = project.remotes || [];
+            const remotesHtml = remotes.length > 1 ? `
+                        <div class="project-remotes">
+                            ${remotes.map(remote => `<span class="remote-badge remote-${remote.status}" title="${this.escapeHtml(remote.message || remote.url || '')}">${remote.status === 'ok' ? '✅' : '❌'} ${this.escapeHtml(remote.label || remote.name)}</span>`).join('')}
+                        </div>` : '';
+
             const repoStatusIcon = project.hasGitRepo
                 ? '<i class="fas fa-code-branch" style="color: #27ae60;" title="Git repository mevcut"></i>'
                 : '<i class="fas fa-exclamation-triangle" style="color: #f39c12;" title="Git repository gerekiyor"></i>';
@@ -458,25 +675,38 @@ class GitAutoSyncRenderer {
                             ${repoStatusIcon}
                         </div>
                         <div class="project-path">${this.escapeHtml(this.truncatePath(project.path))}</div>
+                        ${branchHtml}
+                        ${overridesHtml}
+                        ${remotesHtml}
                         ${progressHtml}
                     </div>
                     <div class="project-status status-${project.status}">
                         ${this.getStatusText(project.status)}
                         ${project.message ? `<br><small>${project.message}</small>` : ''}
+                        ${project.transportError ? `<br><small title="${this.escapeHtml(project.transportError.hint)}">🔑 ${this.escapeHtml(project.transportError.hint)}</small>` : ''}
+                        ${this.renderLargeFiles(project.largeFiles)}
+                        ${this.renderSecretFindings(project)}
+                        ${this.renderRetry(project)}
                     </div>
                     <div class="project-last-check">
                         Son kontrol:<br>
                         <strong>${timeAgo}</strong>
+                        ${project.lastSyncedCommit ? `<br><small title="Son senkronize edilen commit${project.lastSyncedAt ? ` (${new Date(project.lastSyncedAt).toLocaleString('tr-TR')})` : ''}">${this.escapeHtml(project.lastSyncedCommit.slice(0, 7))}</small>` : ''}
                     </div>
                     <div class="project-actions">
+                        ${conflictButton}
+                        <button onclick="renderer.showProjectSettings('${project.path.replaceAll('\\', '\\\\')}')"
+                                style="background: #8e44ad; color: white;" title="Proje Ayarları">
+                            <i class="fas fa-sliders-h"></i>
+                        </button>
                         <button onclick="renderer.openProjectFolder('${project.path.replaceAll('\\', '\\\\')}')" 
                                 style="background: #3498db; color: white;" title="Klasörü Aç">
                             <i class="fas fa-folder-open"></i>
                         </button>
-                        <button onclick="renderer.openProjectGitHub('${project.name}')" 
-                                style="background: #2c3e50; color: white;" title="GitHub'da Aç">
-                            <i class="fab fa-github"></i>
-                        </button>
+                        ${project.webUrl ? `<button onclick="renderer.openProjectRemote('${project.path.replaceAll('\\', '\\\\')}')" 
+                                style="background: #2c3e50; color: white;" title="${project.provider === 'gitlab' ? "GitLab'da Aç" : "GitHub'da Aç"}">
+                            <i class="fab ${project.provider === 'gitlab' ? 'fa-gitlab' : 'fa-github'}"></i>
+                        </button>` : ''}
                     </div>
                 </div>
             `;
@@ -485,6 +715,69 @@ class GitAutoSyncRenderer {
         this.elements['projects-list'].innerHTML = projectsHtml;
     }
 
+    // Her bulgu dosya:satır ile listelenir, yanlış pozitifler tek tek izin listesine alınabilir
+    renderSecretFindings(project) {
+        const findings = project.secretFindings || [];
+        if (findings.length === 0) return '';
+
+        const escapedPath = project.path.replaceAll('\\', '\\\\');
+        const rows = findings.slice(0, 5).map(finding => `
+                            <div class="secret-finding" title="${this.escapeHtml(finding.preview)}">
+                                🔐 ${this.escapeHtml(finding.label)}: ${this.escapeHtml(finding.file)}:${finding.line}
+                                <button onclick="renderer.allowSecret('${escapedPath}', '${finding.fingerprint}')" title="Bu bulguya izin ver">
+                                    İzin ver
+                                </button>
+                            </div>`).join('');
+        const rest = findings.length > 5 ? `<div class="secret-finding">ve ${findings.length - 5} bulgu daha</div>` : '';
+
+        return `<div class="secret-findings">${rows}${rest}</div>`;
+    }
+
+    async allowSecret(projectPath, fingerprint) {
+        try {
+            const result = await ipcRenderer.invoke('allow-secret', projectPath, fingerprint);
+            if (!result.success) {
+                this.showError(result.message);
+            }
+        } catch (error) {
+            this.showError('İzin verme hatası: ' + error.message);
+        }
+    }
+
+    // Hatalı projenin deneme sayısı ve bir sonraki deneme zamanı
+    renderRetry(project) {
+        const retry = project.retry;
+        if (!retry || project.status !== 'error') return '';
+
+        if (retry.nextRetryAt) {
+            const time = new Date(retry.nextRetryAt).toLocaleTimeString('tr-TR');
+            return `<br><small title="Geçici hata, otomatik olarak yeniden denenecek">🔁 Deneme ${retry.failures}/${retry.maxAttempts} - ${time}</small>`;
+        }
+        if (retry.kind === 'permanent') {
+            return '<br><small title="Hatayı giderip manuel senkronizasyon başlatın">⛔ Kalıcı hata - otomatik denenmeyecek</small>';
+        }
+        return retry.maxAttempts > 0 ? `<br><small>⛔ ${retry.maxAttempts} denemeden sonra bırakıldı</small>` : '';
+    }
+
+    renderLargeFiles(largeFiles) {
+        if (!largeFiles) return '';
+
+        const files = [...(largeFiles.files || []), ...(largeFiles.warnings || [])];
+        const title = this.escapeHtml(files.map(file => `${file.path} (${(file.size / 1048576).toFixed(1)} MB)`).join('\n'));
+        const count = (largeFiles.files || []).length;
+
+        let text = `${(largeFiles.warnings || []).length} büyük dosya uyarısı`;
+        if (largeFiles.blocked) {
+            text = largeFiles.reason;
+        } else if (count > 0 && largeFiles.action === 'exclude') {
+            text = `${count} büyük dosya hariç tutuldu`;
+        } else if (count > 0) {
+            text = `${count} büyük dosya Git LFS'e taşındı`;
+        }
+
+        return `<br><small title="${title}">🐘 ${this.escapeHtml(text)}</small>`;
+    }
+
     getStatusText(status) {
         const statusTexts = {
             'ready': 'Hazır',
@@ -493,7 +786,10 @@ class GitAutoSyncRenderer {
             'syncing': 'Sync',
             'synced': 'Senkron',
             'error': 'Hata',
-            'needs-repo': 'Repo Gerekli'
+            'needs-repo': 'Repo Gerekli',
+            'conflict': 'Çakışma',
+            'pending-push': 'Push Bekliyor',
+            'excluded': 'Hariç'
         };
         return statusTexts[status] || status;
     }
@@ -522,20 +818,169 @@ class GitAutoSyncRenderer {
         shell.openPath(projectPath);
     }
 
-    openProjectGitHub(projectName) {
-        if (this.config) {
-            const repoName = this.sanitizeRepoName(projectName);
-            shell.openExternal(`https://github.com/${this.config.username}/${repoName}`);
+    // Web adresi sağlayıcıya göre main tarafında hesaplanır (GitHub, GitLab, self-hosted)
+    openProjectRemote(projectPath) {
+        const project = this.currentStatus?.projects?.find(item => item.path === projectPath);
+        if (project?.webUrl) {
+            shell.openExternal(project.webUrl);
+        }
+    }
+
+    // Project settings panel
+    showProjectSettings(projectPath) {
+        const project = this.currentStatus?.projects?.find(item => item.path === projectPath);
+        if (!project) return;
+
+        this.activeProjectPath = projectPath;
+        this.elements['project-modal-name'].textContent = project.name;
+        this.elements['project-modal-path'].textContent = project.path;
+        this.elements['project-modal-branch'].textContent = project.branch
+            ? `${project.branch}${project.upstream ? ` (upstream: ${project.upstream})` : ' (upstream yok)'}`
+            : 'Dal tespit edilemedi';
+        this.elements['project-target-branch'].value = project.customTargetBranch || '';
+        this.elements['project-target-branch'].placeholder = `Otomatik (${project.targetBranch || 'main'})`;
+        this.elements['project-modal-overrides'].innerHTML = this.renderProjectOverrides(project);
+        this.elements['project-modal'].classList.remove('hidden');
+        this.elements['project-target-branch'].focus();
+    }
+
+    renderProjectOverrides(project) {
+        const overrides = project.overrides;
+        const errors = project.overrideErrors || [];
+        const warnings = project.overrideWarnings || [];
+
+        if (!overrides && errors.length === 0) {
+            return '<span style="color: #7f8c8d;">Dosya yok - genel ayarlar kullanılıyor</span>';
+        }
+
+        const entries = Object.entries(overrides || {}).map(([key, value]) => `
+            <div><code>${this.escapeHtml(key)}</code>: ${this.escapeHtml(Array.isArray(value) ? value.join(', ') : String(value))}</div>`).join('');
+        const errorsHtml = errors.map(error => `<div style="color: #e74c3c;">❌ ${this.escapeHtml(error)}</div>`).join('');
+        const warningsHtml = warnings.map(warning => `<div style="color: #f39c12;">⚠️ ${this.escapeHtml(warning)}</div>`).join('');
+
+        return (entries || '<span style="color: #7f8c8d;">Geçerli alan yok</span>') + errorsHtml + warningsHtml;
+    }
+
+    hideProjectSettings() {
+        this.activeProjectPath = null;
+        this.elements['project-modal'].classList.add('hidden');
+    }
+
+    async saveProjectSettings() {
+        if (!this.activeProjectPath) return;
+
+        const targetBranch = this.elements['project-target-branch'].value.trim();
+        if (targetBranch && !/^[^\s~^:?*\[\\]+$/.test(targetBranch)) {
+            this.showError('Geçersiz dal adı!');
+            return;
+        }
+
+        try {
+            const success = await ipcRenderer.invoke('set-project-settings', this.activeProjectPath, { targetBranch });
+            if (success) {
+                this.config = await ipcRenderer.invoke('get-config');
+                this.addLog(`🌿 Hedef dal güncellendi: ${targetBranch || 'otomatik'}`, 'success');
+                this.hideProjectSettings();
+            } else {
+                this.showError('Proje ayarları kaydedilemedi!');
+            }
+        } catch (error) {
+            this.showError('Proje ayarları kaydetme hatası: ' + error.message);
         }
     }
 
-    sanitizeRepoName(name) {
-        return name
-            .toLowerCase()
-            .replace(/\s+/g, '-')
-            .replace(/[^a-z0-9\-_.]/g, '')
-            .replace(/^[-_.]+|[-_.]+$/g, '')
-            .substring(0, 100);
+    // Conflict panel
+    async openConflictPanel(projectPath) {
+        try {
+            const conflict = await ipcRenderer.invoke('get-conflict', projectPath);
+            if (!conflict) {
+                this.showError('Bu projede bekleyen çakışma yok');
+                return;
+            }
+
+            this.activeConflict = conflict;
+            this.conflictResolutions = {};
+            this.renderConflictPanel();
+            this.elements['conflict-modal'].classList.remove('hidden');
+        } catch (error) {
+            this.showError('Çakışma bilgisi alınamadı: ' + error.message);
+        }
+    }
+
+    renderConflictPanel() {
+        const conflict = this.activeConflict;
+        if (!conflict) return;
+
+        this.elements['conflict-project-name'].textContent = conflict.name;
+        this.elements['conflict-summary'].textContent = conflict.reason === 'conflict'
+            ? `"${conflict.branch}" dalında ${conflict.files.length} dosya uzak değişikliklerle çakışıyor. Her dosya için hangi sürümün korunacağını seçin.`
+            : `"${conflict.branch}" dalı uzakta ilerlemiş ve push reddedildi. Devam ederek uzak değişiklikleri alıp tekrar deneyebilirsiniz.`;
+
+        const filesHtml = conflict.files.map((file, index) => {
+            const choice = this.conflictResolutions[file];
+            return `
+                <div class="conflict-file">
+                    <span class="conflict-path" title="${this.escapeHtml(file)}">${this.escapeHtml(file)}</span>
+                    <div class="conflict-choice">
+                        <button class="${choice === 'local' ? 'selected' : ''}" onclick="renderer.setConflictResolution(${index}, 'local')">Yereli Koru</button>
+                        <button class="${choice === 'remote' ? 'selected' : ''}" onclick="renderer.setConflictResolution(${index}, 'remote')">Uzağı Koru</button>
+                    </div>
+                    <button onclick="renderer.openConflictFile(${index})"
+                            style="background: #3498db; color: white; padding: 4px 8px; border: none; border-radius: 4px;" title="Klasörde Göster">
+                        <i class="fas fa-folder-open"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        this.elements['conflict-files'].innerHTML = filesHtml ||
+            '<div style="color: #7f8c8d; text-align: center; padding: 20px;">Dosya çakışması yok</div>';
+    }
+
+    setConflictResolution(index, side) {
+        const file = this.activeConflict?.files[index];
+        if (!file) return;
+        this.conflictResolutions[file] = side;
+        this.renderConflictPanel();
+    }
+
+    openConflictFile(index) {
+        const file = this.activeConflict?.files[index];
+        if (!file) return;
+        shell.showItemInFolder(path.join(this.activeConflict.projectPath, file));
+    }
+
+    async resumeConflict() {
+        const conflict = this.activeConflict;
+        if (!conflict) return;
+
+        const missing = conflict.files.filter(file => !this.conflictResolutions[file]);
+        if (missing.length > 0) {
+            this.showError(`${missing.length} dosya için seçim yapılmadı!`);
+            return;
+        }
+
+        try {
+            this.elements['conflict-resume'].disabled = true;
+            const result = await ipcRenderer.invoke('resolve-conflict', conflict.projectPath, this.conflictResolutions);
+            if (result.success) {
+                this.hideConflictModal();
+                this.addLog(`🧩 Çakışma çözüldü, senkronizasyon sürdürülüyor: ${conflict.name}`, 'success');
+            } else {
+                this.showError(result.message);
+                await this.openConflictPanel(conflict.projectPath);
+            }
+        } catch (error) {
+            this.showError('Çakışma çözme hatası: ' + error.message);
+        } finally {
+            this.elements['conflict-resume'].disabled = false;
+        }
+    }
+
+    hideConflictModal() {
+        this.activeConflict = null;
+        this.conflictResolutions = {};
+        this.elements['conflict-modal'].classList.add('hidden');
     }
 
     updateProgressBar(status) {
@@ -562,21 +1007,28 @@ class GitAutoSyncRenderer {
 
         const logsToFlush = this.logBuffer.splice(0, 10);
         logsToFlush.forEach(logData => {
-            this.addLogToDOM(logData.message, logData.type, logData.timestamp);
+            this.addLogToDOM(logData);
         });
     }
 
-    addLogToDOM(message, type = 'info', timestamp = new Date()) {
+    addLogToDOM({ message, type = 'info', timestamp = new Date(), projectPath = null, phase = null, code = null }) {
         if (!this.elements['log-container']) return;
 
         const logEntry = document.createElement('div');
         logEntry.className = `log-entry log-${type}`;
+        logEntry.dataset.type = type;
+        logEntry.dataset.project = projectPath || '';
+        logEntry.dataset.text = message.toLowerCase();
+        if (phase || code) {
+            logEntry.title = [phase && `Aşama: ${phase}`, code && `Kod: ${code}`].filter(Boolean).join(' | ');
+        }
 
         const timeStr = timestamp.toLocaleTimeString();
         logEntry.innerHTML = `
             <span class="timestamp">[${timeStr}]</span>
             ${this.escapeHtml(message)}
         `;
+        logEntry.classList.toggle('hidden', !this.matchesLogFilters(logEntry));
 
         this.elements['log-container'].appendChild(logEntry);
         this.elements['log-container'].scrollTop = this.elements['log-container'].scrollHeight;
@@ -601,28 +1053,138 @@ class GitAutoSyncRenderer {
         this.addLog(`🚀 Optimized klasör izleme aktif!`, 'success');
     }
 
+    // Anahtar zinciri ve parola yoksa token'ın kaydedilemeyeceği açıkça belirtilir
+    updateCredentialNote() {
+        const note = this.elements['credential-backend-note'];
+        if (!note) return;
+
+        const backend = this.config?.credentialBackend || this.currentStatus?.credentialBackend;
+        const texts = {
+            'safeStorage': 'Token işletim sistemi anahtar zinciriyle şifrelenerek saklanır.',
+            'passphrase': 'Token GITAUTOSYNC_PASSPHRASE ile şifrelenerek saklanır.',
+            'unavailable': '⚠️ Anahtar zinciri kullanılamıyor ve GITAUTOSYNC_PASSPHRASE tanımlı değil: token güvenli saklanamayacağı için kaydedilmez. Uygulamayı GITAUTOSYNC_PASSPHRASE ile başlatın.'
+        };
+        note.textContent = texts[backend] || 'Token şifreli olarak saklanır.';
+        note.style.color = backend === 'unavailable' ? '#c0392b' : '';
+    }
+
     // Setup modal methods
     showSetupModal(isEdit = false) {
+        this.updateCredentialNote();
         if (isEdit && this.config) {
             this.elements['username'].value = this.config.username || '';
-            this.elements['token'].value = this.config.token || '';
+            this.elements['github-url'].value = this.config.githubUrl && this.config.githubUrl !== 'https://github.com' ? this.config.githubUrl : '';
+            this.elements['github-api-url'].value = this.config.githubApiUrl || '';
+            // Kayıtlı token renderer'a hiç gelmez; boş bırakılırsa mevcut token korunur
+            this.elements['token'].value = '';
+            this.elements['token'].placeholder = this.config.hasToken
+                ? '•••••••• kayıtlı (değiştirmek için yeni token girin)'
+                : 'ghp_xxxxxxxxxxxx';
             this.elements['system-tray'].checked = this.config.systemTray !== false;
-            this.folders = [...(this.config.watchPaths || [])];
+            this.elements['pull-strategy'].value = this.config.pullStrategy || 'rebase';
+            this.elements['sync-concurrency'].value = this.config.syncConcurrency || 3;
+            this.folders = (this.config.watchPaths || []).map(folder =>
+                typeof folder === 'string'
+                    ? { path: folder, ownerType: 'user', owner: null, mirrors: [] }
+                    : { ...folder, mirrors: (folder.mirrors || []).map(mirror => ({ ...mirror })) });
             this.ignoredPatterns = [...(this.config.ignoredPatterns || this.defaultIgnoredPatterns)];
+            this.fillRepoDefaults(this.config.repoDefaults || {}, this.config.reconcileRepoSettings === true);
+            this.fillCommitMessage(this.config.commitMessage || {});
+            this.fillLargeFiles(this.config.largeFiles || {});
+            this.fillRetry(this.config.retry || {});
+            this.sshKeys = { ...(this.config.sshKeys || {}) };
         } else {
             this.elements['username'].value = '';
+            this.elements['github-url'].value = '';
+            this.elements['github-api-url'].value = '';
             this.elements['token'].value = '';
+            this.elements['token'].placeholder = 'ghp_xxxxxxxxxxxx';
             this.elements['system-tray'].checked = true;
+            this.elements['pull-strategy'].value = 'rebase';
+            this.elements['sync-concurrency'].value = 3;
             this.folders = [];
             this.ignoredPatterns = [...this.defaultIgnoredPatterns];
+            this.fillRepoDefaults({}, false);
+            this.fillCommitMessage({});
+            this.fillLargeFiles({});
+            this.fillRetry({});
+            this.sshKeys = {};
         }
 
+        this.expandedFolders.clear();
         this.updateFolderList();
         this.updateIgnoredPatternsList();
         this.elements['setup-modal'].classList.remove('hidden');
         this.elements['username'].focus();
     }
 
+    fillRepoDefaults(defaults, reconcile) {
+        this.elements['repo-visibility'].value = defaults.visibility || 'private';
+        this.elements['repo-description'].value = defaults.description ?? 'Auto-synced project - {date}';
+        this.elements['repo-homepage'].value = defaults.homepage || '';
+        this.elements['repo-topics'].value = (defaults.topics || []).join(', ');
+        this.elements['repo-has-issues'].checked = !!defaults.hasIssues;
+        this.elements['repo-has-projects'].checked = !!defaults.hasProjects;
+        this.elements['repo-has-wiki'].checked = !!defaults.hasWiki;
+        this.elements['reconcile-repo-settings'].checked = reconcile;
+    }
+
+    readRepoDefaults() {
+        return {
+            visibility: this.elements['repo-visibility'].value,
+            description: this.elements['repo-description'].value.trim(),
+            homepage: this.elements['repo-homepage'].value.trim(),
+            topics: this.elements['repo-topics'].value.split(',').map(topic => topic.trim()).filter(Boolean),
+            hasIssues: this.elements['repo-has-issues'].checked,
+            hasProjects: this.elements['repo-has-projects'].checked,
+            hasWiki: this.elements['repo-has-wiki'].checked
+        };
+    }
+
+    fillCommitMessage(settings) {
+        this.elements['commit-template'].value = settings.template || 'Auto sync - {date}';
+        this.elements['commit-locale'].value = settings.locale || 'tr-TR';
+        this.elements['commit-max-paths'].value = settings.maxPaths || 3;
+        this.elements['commit-include-body'].checked = !!settings.includeBody;
+    }
+
+    readCommitMessage() {
+        return {
+            template: this.elements['commit-template'].value.trim(),
+            locale: this.elements['commit-locale'].value.trim(),
+            maxPaths: parseInt(this.elements['commit-max-paths'].value, 10),
+            includeBody: this.elements['commit-include-body'].checked
+        };
+    }
+
+    fillLargeFiles(settings) {
+        this.elements['large-warn-mb'].value = settings.warnMb || 50;
+        this.elements['large-limit-mb'].value = settings.limitMb || 100;
+        this.elements['large-action'].value = settings.action || 'block';
+    }
+
+    readLargeFiles() {
+        return {
+            warnMb: parseFloat(this.elements['large-warn-mb'].value),
+            limitMb: parseFloat(this.elements['large-limit-mb'].value),
+            action: this.elements['large-action'].value
+        };
+    }
+
+    fillRetry(settings) {
+        this.elements['retry-max-attempts'].value = settings.maxAttempts ?? 5;
+        this.elements['retry-base-delay'].value = settings.baseDelaySeconds || 30;
+        this.elements['retry-max-delay'].value = settings.maxDelaySeconds || 1800;
+    }
+
+    readRetry() {
+        return {
+            maxAttempts: parseInt(this.elements['retry-max-attempts'].value, 10),
+            baseDelaySeconds: parseFloat(this.elements['retry-base-delay'].value),
+            maxDelaySeconds: parseFloat(this.elements['retry-max-delay'].value)
+        };
+    }
+
     hideSetupModal() {
         if (!this.config) {
             window.close();
@@ -634,8 +1196,8 @@ class GitAutoSyncRenderer {
     async addFolder() {
         try {
             const folderPath = await ipcRenderer.invoke('select-folder');
-            if (folderPath && !this.folders.includes(folderPath)) {
-                this.folders.push(folderPath);
+            if (folderPath && !this.folders.some(folder => folder.path === folderPath)) {
+                this.folders.push({ path: folderPath, provider: 'github', baseUrl: '', ownerType: 'user', owner: null });
                 this.updateFolderList();
             }
         } catch (error) {
@@ -645,17 +1207,385 @@ class GitAutoSyncRenderer {
 
     removeFolder(index) {
         this.folders.splice(index, 1);
+        this.expandedFolders.clear();
+        this.updateFolderList();
+    }
+
+    updateFolderOwner(index, field, value) {
+        const folder = this.folders[index];
+        if (!folder) return;
+
+        if (field === 'ownerType') {
+            folder.ownerType = value === 'org' ? 'org' : 'user';
+            if (folder.ownerType === 'user') folder.owner = null;
+            this.updateFolderList();
+        } else {
+            folder.owner = value.trim() || null;
+        }
+    }
+
+    updateFolderProvider(index, field, value) {
+        const folder = this.folders[index];
+        if (!folder) return;
+
+        if (field === 'provider') {
+            folder.provider = ['gitlab', 'git'].includes(value) ? value : 'github';
+            // Sağlayıcı değişince adres ve token yeni sağlayıcının varsayılanına döner
+            folder.baseUrl = '';
+            if (folder.provider === 'git') {
+                folder.ownerType = 'user';
+                folder.owner = null;
+            }
+            delete folder.token;
+            folder.hasToken = false;
+            this.updateFolderList();
+        } else if (field === 'baseUrl') {
+            folder.baseUrl = value.trim().replace(/\/+$/, '');
+            folder.hasToken = false;
+            this.updateFolderList();
+        } else if (field === 'urlTemplate') {
+            folder.urlTemplate = value.trim();
+            this.updateFolderList();
+        } else if (field === 'transport') {
+            folder.transport = value === 'ssh' ? 'ssh' : 'https';
+            this.updateFolderList();
+        } else if (field === 'token') {
+            folder.token = value.trim() || undefined;
+        }
+    }
+
+    getGitHubUrl(value = this.config?.githubUrl) {
+        return String(value || '').trim().replace(/\/+$/, '') || 'https://github.com';
+    }
+
+    // Genel GitHub adresi dışındaki her host kendi token'ını kullanır
+    folderNeedsOwnToken(folder) {
+        const baseUrl = folder.baseUrl || '';
+        return folder.provider === 'gitlab' || (baseUrl !== '' && baseUrl !== this.getGitHubUrl(this.elements['github-url'].value));
+    }
+
+    renderFolderProvider(folder, index) {
+        const inputStyle = 'padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;';
+        const providerSelect = `
+                    <select onchange="renderer.updateFolderProvider(${index}, 'provider', this.value)" style="${inputStyle}" title="Sağlayıcı">
+                        <option value="github" ${!['gitlab', 'git'].includes(folder.provider) ? 'selected' : ''}>GitHub</option>
+                        <option value="gitlab" ${folder.provider === 'gitlab' ? 'selected' : ''}>GitLab</option>
+                        <option value="git" ${folder.provider === 'git' ? 'selected' : ''}>Düz Git (API yok)</option>
+                    </select>`;
+
+        // Düz git hedefinde remote adresi şablondan üretilir, yerel yollarda bare repo otomatik açılır
+        if (folder.provider === 'git') {
+            return `
+                <div style="flex-basis: 100%; display: grid; grid-template-columns: 1fr 3.5fr; gap: 6px; margin-top: 6px;">
+                    ${providerSelect}
+                    <input type="text" value="${this.escapeHtml(folder.urlTemplate || '')}" placeholder="/mnt/backup/{name}.git veya ssh://host/{name}.git"
+                           onchange="renderer.updateFolderProvider(${index}, 'urlTemplate', this.value)" style="${inputStyle}" title="Remote şablonu ({name}, {owner})">
+                </div>`;
+        }
+
+        const defaultUrl = folder.provider === 'gitlab' ? 'https://gitlab.com' : this.getGitHubUrl(this.elements['github-url'].value);
+        const tokenHtml = this.folderNeedsOwnToken(folder) ? `
+                    <input type="password" placeholder="${folder.hasToken ? '•••••••• kayıtlı' : 'Bu host için token'}"
+                           onchange="renderer.updateFolderProvider(${index}, 'token', this.value)" style="${inputStyle}">` : '';
+
+        return `
+                <div style="flex-basis: 100%; display: grid; grid-template-columns: 1fr 2fr 1.5fr; gap: 6px; margin-top: 6px;">
+                    ${providerSelect}
+                    <input type="text" value="${this.escapeHtml(folder.baseUrl && folder.baseUrl !== defaultUrl ? folder.baseUrl : '')}" placeholder="${defaultUrl}"
+                           onchange="renderer.updateFolderProvider(${index}, 'baseUrl', this.value)" style="${inputStyle}" title="Sağlayıcı adresi">
+                    ${tokenHtml}
+                </div>`;
+    }
+
+    // main.js getProviderSettings ile aynı hesap anahtarı: SSH anahtarları bu anahtarla saklanır
+    getFolderAccount(folder) {
+        if (folder.provider === 'git') {
+            return `git:${folder.urlTemplate || ''}`;
+        }
+
+        const provider = folder.provider === 'gitlab' ? 'gitlab' : 'github';
+        const githubUrl = this.getGitHubUrl(this.elements['github-url'].value);
+        if (provider === 'github' && (!folder.baseUrl || folder.baseUrl === githubUrl)) {
+            return 'github';
+        }
+
+        try {
+            const baseUrl = folder.baseUrl || (provider === 'gitlab' ? 'https://gitlab.com' : 'https://github.com');
+            return `${provider}:${new URL(baseUrl).host}`;
+        } catch (error) {
+            return `${provider}:${folder.baseUrl}`;
+        }
+    }
+
+    folderUsesSsh(folder) {
+        if (folder.provider === 'git') {
+            const template = folder.urlTemplate || '';
+            return /^ssh:\/\//i.test(template) || /^(?:[^@/\\:]+@)?[^/\\:]{2,}:(?!\/\/)/.test(template);
+        }
+        return folder.transport === 'ssh';
+    }
+
+    async selectSshKey(index) {
+        const folder = this.folders[index];
+        if (!folder) return;
+
+        try {
+            const keyPath = await ipcRenderer.invoke('select-ssh-key');
+            if (keyPath) {
+                this.sshKeys[this.getFolderAccount(folder)] = keyPath;
+                this.updateFolderList();
+            }
+        } catch (error) {
+            console.error('Anahtar seçme hatası:', error);
+        }
+    }
+
+    clearSshKey(index) {
+        const folder = this.folders[index];
+        if (!folder) return;
+        delete this.sshKeys[this.getFolderAccount(folder)];
+        this.updateFolderList();
+    }
+
+    renderFolderSsh(folder, index) {
+        const inputStyle = 'padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;';
+        const transportSelect = folder.provider === 'git' ? '<span style="font-size: 12px; color: #7f8c8d;">SSH anahtarı:</span>' : `
+                    <select onchange="renderer.updateFolderProvider(${index}, 'transport', this.value)" style="${inputStyle}" title="Aktarım">
+                        <option value="https" ${folder.transport !== 'ssh' ? 'selected' : ''}>HTTPS + token</option>
+                        <option value="ssh" ${folder.transport === 'ssh' ? 'selected' : ''}>SSH</option>
+                    </select>`;
+
+        if (!this.folderUsesSsh(folder)) {
+            return folder.provider === 'git' ? '' : `
+                <div style="flex-basis: 100%; display: grid; grid-template-columns: 1fr 4.5fr; gap: 6px; margin-top: 6px;">
+                    ${transportSelect}
+                </div>`;
+        }
+
+        // Anahtar hesap başına saklanır; aynı host'u kullanan klasörler aynı anahtarı paylaşır
+        const keyPath = this.sshKeys[this.getFolderAccount(folder)] || '';
+        return `
+                <div style="flex-basis: 100%; display: grid; grid-template-columns: 1fr 3.5fr auto auto; gap: 6px; margin-top: 6px;">
+                    ${transportSelect}
+                    <input type="text" value="${this.escapeHtml(keyPath)}" placeholder="Varsayılan SSH anahtarı (~/.ssh)" readonly
+                           style="${inputStyle} font-family: 'Consolas', monospace; font-size: 11px;" title="Bu hesap için SSH özel anahtarı">
+                    <button type="button" onclick="renderer.selectSshKey(${index})"
+                            style="background: #3498db; color: white; padding: 4px 8px; border: none; border-radius: 4px;" title="Anahtar seç">
+                        <i class="fas fa-key"></i>
+                    </button>
+                    <button type="button" onclick="renderer.clearSshKey(${index})"
+                            style="background: #95a5a6; color: white; padding: 4px 8px; border: none; border-radius: 4px;" title="Varsayılan anahtarı kullan">
+                        <i class="fas fa-eraser"></i>
+                    </button>
+                </div>`;
+    }
+
+    addMirror(folderIndex) {
+        const folder = this.folders[folderIndex];
+        if (!folder) return;
+
+        folder.mirrors = [...(folder.mirrors || []), {
+            name: `yansi${(folder.mirrors || []).length + 1}`,
+            provider: 'git',
+            urlTemplate: '',
+            transport: 'https',
+            ownerType: 'user',
+            owner: null
+        }];
+        this.updateFolderList();
+    }
+
+    removeMirror(folderIndex, mirrorIndex) {
+        const folder = this.folders[folderIndex];
+        if (!folder?.mirrors) return;
+        folder.mirrors.splice(mirrorIndex, 1);
         this.updateFolderList();
     }
 
+    updateMirror(folderIndex, mirrorIndex, field, value) {
+        const mirror = this.folders[folderIndex]?.mirrors?.[mirrorIndex];
+        if (!mirror) return;
+
+        if (field === 'provider') {
+            mirror.provider = ['gitlab', 'git'].includes(value) ? value : 'github';
+            mirror.baseUrl = '';
+            mirror.urlTemplate = '';
+            delete mirror.token;
+            mirror.hasToken = false;
+        } else if (field === 'address') {
+            // Düz git için remote şablonu, diğerleri için sağlayıcı adresi
+            if (mirror.provider === 'git') {
+                mirror.urlTemplate = value.trim();
+            } else {
+                mirror.baseUrl = value.trim().replace(/\/+$/, '');
+                mirror.hasToken = false;
+            }
+        } else if (field === 'transport') {
+            mirror.transport = value === 'ssh' ? 'ssh' : 'https';
+        } else if (field === 'owner') {
+            mirror.owner = value.trim() || null;
+            mirror.ownerType = mirror.owner ? 'org' : 'user';
+        } else if (field === 'token') {
+            mirror.token = value.trim() || undefined;
+            return;
+        } else {
+            mirror[field] = value.trim();
+            return;
+        }
+        this.updateFolderList();
+    }
+
+    async selectMirrorSshKey(folderIndex, mirrorIndex) {
+        const mirror = this.folders[folderIndex]?.mirrors?.[mirrorIndex];
+        if (!mirror) return;
+
+        try {
+            const keyPath = await ipcRenderer.invoke('select-ssh-key');
+            if (keyPath) {
+                this.sshKeys[this.getFolderAccount(mirror)] = keyPath;
+                this.updateFolderList();
+            }
+        } catch (error) {
+            console.error('Anahtar seçme hatası:', error);
+        }
+    }
+
+    renderFolderMirrors(folder, folderIndex) {
+        const inputStyle = 'padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;';
+        const rows = (folder.mirrors || []).map((mirror, mirrorIndex) => {
+            const isGit = mirror.provider === 'git';
+            const defaultUrl = mirror.provider === 'gitlab' ? 'https://gitlab.com' : this.getGitHubUrl(this.elements['github-url'].value);
+            const usesSsh = this.folderUsesSsh(mirror);
+            const keyPath = this.sshKeys[this.getFolderAccount(mirror)];
+
+            return `
+                    <div style="display: grid; grid-template-columns: 0.8fr 0.9fr 2fr 0.8fr 1fr 1fr auto auto; gap: 4px; margin-top: 4px;">
+                        <input type="text" value="${this.escapeHtml(mirror.name || '')}" placeholder="ad"
+                               onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'name', this.value)" style="${inputStyle}" title="Yansı adı (remote: mirror-ad)">
+                        <select onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'provider', this.value)" style="${inputStyle}">
+                            <option value="git" ${isGit ? 'selected' : ''}>Düz Git</option>
+                            <option value="github" ${mirror.provider === 'github' ? 'selected' : ''}>GitHub</option>
+                            <option value="gitlab" ${mirror.provider === 'gitlab' ? 'selected' : ''}>GitLab</option>
+                        </select>
+                        <input type="text" value="${this.escapeHtml(isGit ? (mirror.urlTemplate || '') : (mirror.baseUrl || ''))}"
+                               placeholder="${isGit ? '/mnt/backup/{name}.git' : defaultUrl}"
+                               onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'address', this.value)" style="${inputStyle}">
+                        ${isGit ? '<span></span>' : `
+                        <select onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'transport', this.value)" style="${inputStyle}">
+                            <option value="https" ${mirror.transport !== 'ssh' ? 'selected' : ''}>HTTPS</option>
+                            <option value="ssh" ${mirror.transport === 'ssh' ? 'selected' : ''}>SSH</option>
+                        </select>`}
+                        ${isGit ? '<span></span>' : `
+                        <input type="text" value="${this.escapeHtml(mirror.owner || '')}" placeholder="org/grup (boş: kullanıcı)"
+                               onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'owner', this.value)" style="${inputStyle}">`}
+                        ${this.folderNeedsOwnToken(mirror) ? `
+                        <input type="password" placeholder="${mirror.hasToken ? '•••••••• kayıtlı' : 'Token'}"
+                               onchange="renderer.updateMirror(${folderIndex}, ${mirrorIndex}, 'token', this.value)" style="${inputStyle}">` : '<span></span>'}
+                        ${usesSsh ? `
+                        <button type="button" onclick="renderer.selectMirrorSshKey(${folderIndex}, ${mirrorIndex})" title="${this.escapeHtml(keyPath || 'Varsayılan SSH anahtarı')}"
+                                style="background: ${keyPath ? '#27ae60' : '#3498db'}; color: white; padding: 4px 8px; border: none; border-radius: 4px;">
+                            <i class="fas fa-key"></i>
+                        </button>` : '<span></span>'}
+                        <button type="button" onclick="renderer.removeMirror(${folderIndex}, ${mirrorIndex})"
+                                style="background: #e74c3c; color: white; padding: 4px 8px; border: none; border-radius: 4px;" title="Yansıyı kaldır">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>`;
+        }).join('');
+
+        return `
+                <div style="flex-basis: 100%; margin-top: 6px;">
+                    ${rows}
+                    <button type="button" onclick="renderer.addMirror(${folderIndex})"
+                            style="background: #16a085; color: white; padding: 4px 8px; border: none; border-radius: 4px; margin-top: 4px; font-size: 11px;">
+                        <i class="fas fa-clone"></i> Yansı Ekle
+                    </button>
+                </div>`;
+    }
+
+    toggleFolderRepoOptions(index) {
+        if (this.expandedFolders.has(index)) {
+            this.expandedFolders.delete(index);
+        } else {
+            this.expandedFolders.add(index);
+        }
+        this.updateFolderList();
+    }
+
+    // Boş değer klasör ayarını kaldırır, genel varsayılan geçerli olur
+    updateFolderRepoOption(index, key, value) {
+        const folder = this.folders[index];
+        if (!folder) return;
+
+        const repoOptions = { ...(folder.repoOptions || {}) };
+        if (value === '') {
+            delete repoOptions[key];
+        } else if (['hasIssues', 'hasProjects', 'hasWiki'].includes(key)) {
+            repoOptions[key] = value === 'true';
+        } else if (key === 'topics') {
+            repoOptions.topics = value.split(',').map(topic => topic.trim()).filter(Boolean);
+        } else {
+            repoOptions[key] = value.trim();
+        }
+        folder.repoOptions = repoOptions;
+    }
+
+    renderFolderRepoOptions(folder, index) {
+        const options = folder.repoOptions || {};
+        const inputStyle = 'padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;';
+        const toggleSelect = (key, label) => `
+                    <select onchange="renderer.updateFolderRepoOption(${index}, '${key}', this.value)" style="${inputStyle}" title="${label}">
+                        <option value="" ${typeof options[key] !== 'boolean' ? 'selected' : ''}>${label}: varsayılan</option>
+                        <option value="true" ${options[key] === true ? 'selected' : ''}>${label}: açık</option>
+                        <option value="false" ${options[key] === false ? 'selected' : ''}>${label}: kapalı</option>
+                    </select>`;
+
+        return `
+                <div style="flex-basis: 100%; display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-top: 6px;">
+                    <select onchange="renderer.updateFolderRepoOption(${index}, 'visibility', this.value)" style="${inputStyle}" title="Görünürlük">
+                        <option value="" ${!options.visibility ? 'selected' : ''}>Görünürlük: varsayılan</option>
+                        <option value="private" ${options.visibility === 'private' ? 'selected' : ''}>Private</option>
+                        <option value="public" ${options.visibility === 'public' ? 'selected' : ''}>Public</option>
+                    </select>
+                    <input type="text" value="${this.escapeHtml(options.homepage || '')}" placeholder="Homepage (varsayılan)"
+                           onchange="renderer.updateFolderRepoOption(${index}, 'homepage', this.value)" style="${inputStyle} grid-column: span 2;">
+                    <input type="text" value="${this.escapeHtml(options.description || '')}" placeholder="Açıklama şablonu (varsayılan)"
+                           onchange="renderer.updateFolderRepoOption(${index}, 'description', this.value)" style="${inputStyle} grid-column: span 3;">
+                    <input type="text" value="${this.escapeHtml((options.topics || []).join(', '))}" placeholder="Topic'ler (varsayılan)"
+                           onchange="renderer.updateFolderRepoOption(${index}, 'topics', this.value)" style="${inputStyle} grid-column: span 3;">
+                    ${toggleSelect('hasIssues', 'Issues')}
+                    ${toggleSelect('hasProjects', 'Projects')}
+                    ${toggleSelect('hasWiki', 'Wiki')}
+                </div>`;
+    }
+
     updateFolderList() {
+        const username = this.elements['username'].value.trim() || this.config?.username || 'kullanıcı';
         const listHtml = this.folders.map((folder, index) => `
-            <div class="folder-item">
-                <span title="${folder}">📁 ${folder}</span>
+            <div class="folder-item" style="flex-wrap: wrap;">
+                <span title="${this.escapeHtml(folder.path)}">📁 ${this.escapeHtml(folder.path)}</span>
+                ${folder.provider === 'git' ? '' : `
+                <select onchange="renderer.updateFolderOwner(${index}, 'ownerType', this.value)"
+                        style="padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;" title="Repository sahibi">
+                    <option value="user" ${folder.ownerType !== 'org' ? 'selected' : ''}>Kullanıcı (${this.escapeHtml(username)})</option>
+                    <option value="org" ${folder.ownerType === 'org' ? 'selected' : ''}>${folder.provider === 'gitlab' ? 'Grup' : 'Organizasyon'}</option>
+                </select>
+                ${folder.ownerType === 'org' ? `
+                <input type="text" value="${this.escapeHtml(folder.owner || '')}" placeholder="organizasyon-adi"
+                       onchange="renderer.updateFolderOwner(${index}, 'owner', this.value)"
+                       style="width: 140px; padding: 4px; border-radius: 4px; border: 1px solid #bdc3c7;">` : ''}
+                <button type="button" onclick="renderer.toggleFolderRepoOptions(${index})" title="Bu klasördeki yeni repoların ayarları"
+                        style="background: ${Object.keys(folder.repoOptions || {}).length > 0 ? '#8e44ad' : '#95a5a6'}; color: white; padding: 4px 8px; border: none; border-radius: 4px;">
+                    <i class="fas fa-cog"></i>
+                </button>`}
                 <button type="button" onclick="renderer.removeFolder(${index})" 
                         style="background: #e74c3c; color: white; padding: 4px 8px; border: none; border-radius: 4px;">
                     <i class="fas fa-times"></i>
                 </button>
+                ${this.renderFolderProvider(folder, index)}
+                ${this.renderFolderSsh(folder, index)}
+                ${this.renderFolderMirrors(folder, index)}
+                ${this.expandedFolders.has(index) && folder.provider !== 'git' ? this.renderFolderRepoOptions(folder, index) : ''}
             </div>
         `).join('');
 
@@ -711,7 +1641,7 @@ class GitAutoSyncRenderer {
             return;
         }
 
-        if (!token) {
+        if (!token && !this.config?.hasToken) {
             this.showError('GitHub token gerekli!');
             this.elements['token'].focus();
             return;
@@ -722,19 +1652,70 @@ class GitAutoSyncRenderer {
             return;
         }
 
+        const folderWithoutTemplate = this.folders.find(folder => folder.provider === 'git' && !(folder.urlTemplate || '').includes('{name}'));
+        if (folderWithoutTemplate) {
+            this.showError(`Remote şablonu {name} içermeli: ${folderWithoutTemplate.path}`);
+            this.switchTab('folders');
+            return;
+        }
+
+        const folderWithoutToken = this.folders.find(folder => this.folderNeedsOwnToken(folder) && !folder.token && !folder.hasToken);
+        if (folderWithoutToken) {
+            this.showError(`Token gerekli: ${folderWithoutToken.baseUrl || 'https://gitlab.com'}`);
+            this.switchTab('folders');
+            return;
+        }
+
+        const mirrors = this.folders.flatMap(folder => folder.mirrors || []);
+        const invalidMirror = mirrors.find(mirror => mirror.provider === 'git' && !(mirror.urlTemplate || '').includes('{name}'));
+        if (invalidMirror) {
+            this.showError(`Yansı şablonu {name} içermeli: ${invalidMirror.name}`);
+            this.switchTab('folders');
+            return;
+        }
+
+        const mirrorWithoutToken = mirrors.find(mirror => this.folderNeedsOwnToken(mirror) && !mirror.token && !mirror.hasToken);
+        if (mirrorWithoutToken) {
+            this.showError(`Yansı için token gerekli: ${mirrorWithoutToken.name}`);
+            this.switchTab('folders');
+            return;
+        }
+
+        const folderWithoutOrg = this.folders.find(folder => folder.ownerType === 'org' && !folder.owner);
+        if (folderWithoutOrg) {
+            this.showError(`Organizasyon adı gerekli: ${folderWithoutOrg.path}`);
+            this.switchTab('folders');
+            return;
+        }
+
+        // Kurulum formunda olmayan ayarlar (proje ayarları vb.) korunur
         const config = {
+            ...(this.config || {}),
             username: username,
-            token: token,
-            watchPaths: [...this.folders],
+            githubUrl: this.getGitHubUrl(this.elements['github-url'].value),
+            githubApiUrl: this.elements['github-api-url'].value.trim(),
+            watchPaths: this.folders.map(folder => ({ ...folder, mirrors: (folder.mirrors || []).map(mirror => ({ ...mirror })) })),
             systemTray: this.elements['system-tray'].checked,
+            pullStrategy: this.elements['pull-strategy'].value,
+            syncConcurrency: parseInt(this.elements['sync-concurrency'].value, 10) || 3,
             ignoredPatterns: [...this.ignoredPatterns],
+            repoDefaults: this.readRepoDefaults(),
+            commitMessage: this.readCommitMessage(),
+            largeFiles: this.readLargeFiles(),
+            retry: this.readRetry(),
+            sshKeys: { ...this.sshKeys },
+            reconcileRepoSettings: this.elements['reconcile-repo-settings'].checked,
             version: "2.1.0"
         };
 
         try {
+            if (token) {
+                config.token = token;
+            }
+
             const success = await ipcRenderer.invoke('save-config', config);
             if (success) {
-                this.config = config;
+                this.config = await ipcRenderer.invoke('get-config');
                 this.hideSetupModal();
                 this.updateUI();
                 this.addLog('✅ Konfigürasyon başarıyla kaydedildi ve optimized sistem aktif!', 'success');
@@ -746,6 +1727,18 @@ class GitAutoSyncRenderer {
         }
     }
 
+    async scrubRemoteTokens() {
+        try {
+            this.elements['scrub-tokens-btn'].disabled = true;
+            const result = await ipcRenderer.invoke('scrub-remote-tokens');
+            this.addLog(`🧹 ${result.scanned} repo tarandı, ${result.scrubbed} repodan token temizlendi`, 'success');
+        } catch (error) {
+            this.showError('Remote temizleme hatası: ' + error.message);
+        } finally {
+            this.elements['scrub-tokens-btn'].disabled = false;
+        }
+    }
+
     showError(message) {
         const errorDiv = document.createElement('div');
         errorDiv.style.cssText = `
@@ -815,6 +1808,63 @@ class GitAutoSyncRenderer {
         }
     }
 
+    matchesLogFilters(entry) {
+        const level = this.elements['log-level-filter'].value;
+        const project = this.elements['log-project-filter'].value;
+        const search = this.elements['log-search'].value.trim().toLowerCase();
+
+        return (!level || entry.dataset.type === level) &&
+            (!project || entry.dataset.project === project) &&
+            (!search || (entry.dataset.text || entry.textContent.toLowerCase()).includes(search));
+    }
+
+    applyLogFilters() {
+        Array.from(this.elements['log-container'].children).forEach(entry => {
+            entry.classList.toggle('hidden', !this.matchesLogFilters(entry));
+        });
+    }
+
+    // Proje listesi değiştiğinde seçenekler yeniden kurulur, seçim korunur
+    updateLogProjectFilter(projects) {
+        const key = projects.map(project => project.path).join('\n');
+        if (key === this.logProjectsKey) return;
+        this.logProjectsKey = key;
+
+        const select = this.elements['log-project-filter'];
+        const selected = select.value;
+        select.innerHTML = '<option value="">Tüm projeler</option>' + projects
+            .map(project => `<option value="${this.escapeHtml(project.path)}" ${project.path === selected ? 'selected' : ''}>${this.escapeHtml(project.name)}</option>`)
+            .join('');
+    }
+
+    // Kayıtlı log dosyalarından seçilen zaman aralığı, aktif seviye/proje/arama süzgeçleriyle dışa aktarılır
+    async exportLogs() {
+        const from = this.elements['log-export-from'].value;
+        const to = this.elements['log-export-to'].value;
+        if (from && to && new Date(from) > new Date(to)) {
+            this.showError('Başlangıç zamanı bitişten sonra olamaz');
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('export-logs', {
+                from: from ? new Date(from).toISOString() : null,
+                to: to ? new Date(to).toISOString() : null,
+                level: this.elements['log-level-filter'].value || null,
+                projectPath: this.elements['log-project-filter'].value || null,
+                search: this.elements['log-search'].value.trim()
+            });
+
+            if (result.success) {
+                this.addLog(`📤 ${result.count} log kaydı dışa aktarıldı: ${result.filePath}`, 'success');
+            } else if (!result.canceled) {
+                this.showError(result.message);
+            }
+        } catch (error) {
+            this.showError('Log dışa aktarma hatası: ' + error.message);
+        }
+    }
+
     clearLogs() {
         if (this.elements['log-container']) {
             this.elements['log-container'].innerHTML = '';
@@ -824,10 +1874,11 @@ class GitAutoSyncRenderer {
     }
 
     openGitHub() {
+        const githubUrl = this.getGitHubUrl();
         if (this.config) {
-            shell.openExternal(`https://github.com/${this.config.username}`);
+            shell.openExternal(`${githubUrl}/${encodeURIComponent(this.config.username)}`);
         } else {
-            shell.openExternal('https://github.com');
+            shell.openExternal(githubUrl);
         }
     }
 